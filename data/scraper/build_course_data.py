@@ -0,0 +1,100 @@
+#!/usr/bin/env python3
+# /// script
+# requires-python = ">=3.11"
+# ///
+"""
+Course Data Builder
+Splits the full course catalog into a small search manifest plus
+per-department detail shards that the app loads on demand.
+
+Run with: uv run build_course_data.py <edition> [courses.json]
+
+Catalogs scraped before variable credits were parsed stored only the top of
+each range ("1-21 Credits" became 21), and a decimal minimum such as
+"0.5-21" left "0" on the end of the title. credit_corrections.json restores
+the ranges that can be recognised from that damage.
+"""
+
+import json
+import sys
+from pathlib import Path
+
+CATALOGS_DIR = Path(__file__).parent.parent.parent / "js" / "data" / "catalogs"
+
+# Order of the values in each manifest row
+MANIFEST_FIELDS = ["prefix", "number", "title", "credits", "geneds"]
+
+CREDIT_CORRECTIONS = Path(__file__).parent / "credit_corrections.json"
+
+
+def apply_credit_corrections(all_courses: dict) -> int:
+    """Restore known credit ranges (and titles) that an old scrape collapsed"""
+    with open(CREDIT_CORRECTIONS) as f:
+        corrections = json.load(f)
+
+    corrected = 0
+    for key, correction in corrections.items():
+        course = all_courses.get(key)
+        # Only a collapsed value is replaced; a fresh scrape already has the range
+        if not course or course["credits"] != correction["credits"]["max"]:
+            continue
+        course["credits"] = correction["credits"]
+        if "title" in correction:
+            course["title"] = correction["title"]
+        corrected += 1
+    return corrected
+
+
+def write_course_data(all_courses: dict, output_dir: Path) -> None:
+    """Write the search manifest and one detail shard per department prefix"""
+    output_dir.mkdir(parents=True, exist_ok=True)
+
+    manifest = {
+        "fields": MANIFEST_FIELDS,
+        "courses": [
+            [course[field] for field in MANIFEST_FIELDS]
+            for course in all_courses.values()
+        ]
+    }
+    with open(output_dir / "index.json", "w") as f:
+        json.dump(manifest, f, separators=(",", ":"))
+
+    shards = {}
+    for key, course in all_courses.items():
+        shards.setdefault(course["prefix"], {})[key] = course
+
+    # Remove shards for departments that are no longer in the catalog
+    for stale in output_dir.glob("*.json"):
+        if stale.stem != "index" and stale.stem not in shards:
+            stale.unlink()
+
+    for prefix, courses in shards.items():
+        with open(output_dir / f"{prefix}.json", "w") as f:
+            json.dump(courses, f, indent=2)
+
+    print(f"Wrote manifest and {len(shards)} department shards to: {output_dir}")
+
+
+def edition_dir(edition: str) -> Path:
+    """Directory holding a catalog edition's data (e.g. "2025-26")"""
+    return CATALOGS_DIR / edition
+
+
+def main():
+    """Split an existing full catalog file into an edition's course data"""
+    if len(sys.argv) < 2:
+        print("Usage: build_course_data.py <edition> [courses.json]")
+        sys.exit(1)
+
+    edition = sys.argv[1]
+    source = Path(sys.argv[2]) if len(sys.argv) > 2 else Path(__file__).parent / "courses_backup.json"
+    with open(source) as f:
+        all_courses = json.load(f)
+
+    corrected = apply_credit_corrections(all_courses)
+    print(f"Restored credit ranges for {corrected} courses")
+    write_course_data(all_courses, edition_dir(edition) / "courses")
+
+
+if __name__ == "__main__":
+    main()
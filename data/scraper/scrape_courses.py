@@ -10,17 +10,20 @@
 UNC Course Catalog Scraper
 Scrapes course data from catalog.unc.edu and exports to JSON
 
-Run with: uv run scrape_courses.py
+Run with: uv run scrape_courses.py <edition>   (e.g. 2026-27)
 """
 
 import json
 import re
+import sys
 import time
 from pathlib import Path
 
 import requests
 from bs4 import BeautifulSoup
 
+from build_course_data import edition_dir, write_course_data
+
 BASE_URL = "https://catalog.unc.edu"
 COURSES_URL = f"{BASE_URL}/courses/"
 
@@ -64,6 +67,20 @@ def extract_geneds(text: str) -> list:
     return geneds
 
 
+def parse_credits(text: str) -> int | float | dict:
+    """Parse "3" to 3 and a variable range like "1-3" to {"min": 1, "max": 3}"""
+    def to_number(value: str) -> int | float:
+        number = float(value)
+        return int(number) if number.is_integer() else number
+
+    if "-" in text:
+        low, high = (to_number(part) for part in text.split("-", 1))
+        if low != high:
+            return {"min": low, "max": high}
+        return low
+    return to_number(text)
+
+
 def parse_course_block(block) -> dict | None:
     """Parse a single course block and return course data"""
     try:
@@ -74,9 +91,9 @@ def parse_course_block(block) -> dict | None:
         full_text = re.sub(r'\s+', ' ', full_text).strip()
 
         # Parse course code, title, and credits
-        # Format: "DEPT 123. Title. 3 Credits."
+        # Format: "DEPT 123. Title. 3 Credits." or "... 0.5-21 Credits."
         match = re.match(
-            r"([A-Z]+)\s+(\d+[A-Z]?)\.\s*(.+?)\.\s*(\d+(?:-\d+)?)\s*Credits?\.",
+            r"([A-Z]+)\s+(\d+[A-Z]?)\.\s*(.+?)\.\s*(\d+(?:\.\d+)?(?:-\d+(?:\.\d+)?)?)\s*Credits?\.",
             full_text
         )
         if not match:
@@ -85,10 +102,6 @@ def parse_course_block(block) -> dict | None:
         prefix, number, title, credits = match.groups()
         title = title.strip()
 
-        # Handle credit ranges (e.g., "1-3")
-        if "-" in credits:
-            credits = credits.split("-")[1]  # Take max
-
         # Get description - text after credits but before "Rules & Requirements"
         desc_match = re.search(
             r"Credits?\.\s*(.+?)(?:Rules\s*&\s*Requirements|Grading\s*Status|Repeat\s*Rules|$)",
@@ -111,7 +124,7 @@ def parse_course_block(block) -> dict | None:
             "prefix": prefix,
             "number": number,
             "title": title,
-            "credits": int(credits),
+            "credits": parse_credits(credits),
             "description": description,
             "geneds": geneds
         }
@@ -144,7 +157,12 @@ def scrape_department(dept_code: str) -> list:
 
 def main():
     """Main scraper function"""
-    print("UNC Course Catalog Scraper")
+    if len(sys.argv) < 2:
+        print("Usage: scrape_courses.py <edition>   (e.g. 2026-27)")
+        sys.exit(1)
+    edition = sys.argv[1]
+
+    print(f"UNC Course Catalog Scraper ({edition} catalog)")
     print("=" * 40)
 
     all_courses = {}
@@ -167,14 +185,11 @@ def main():
     gened_count = sum(1 for c in all_courses.values() if c["geneds"])
     print(f"Courses with gen ed attributes: {gened_count}")
 
-    # Save to JSON
-    output_path = Path(__file__).parent.parent.parent / "js" / "data" / "courses.json"
-    output_path.parent.mkdir(parents=True, exist_ok=True)
-
-    with open(output_path, "w") as f:
-        json.dump(all_courses, f, indent=2)
-
-    print(f"\nSaved to: {output_path}")
+    # Save the search manifest and per-department shards the app loads
+    print()
+    write_course_data(all_courses, edition_dir(edition) / "courses")
+    if not (edition_dir(edition) / "geneds.json").exists():
+        print(f"Add {edition}/geneds.json and list the edition in js/data/catalogs.json")
 
     # Also save a backup with timestamp
     backup_path = Path(__file__).parent / "courses_backup.json"
@@ -14,89 +14,230 @@
         courseNumber: document.getElementById('course-number'),
         courseTitle: document.getElementById('course-title'),
         courseCredits: document.getElementById('course-credits'),
+        sectionCreditsGroup: document.getElementById('section-credits-group'),
+        sectionCreditsHint: document.getElementById('section-credits-hint'),
+        sectionCredits: document.getElementById('section-credits'),
+        sectionCreditsError: document.getElementById('section-credits-error'),
         courseDescription: document.getElementById('course-description'),
         genedBadges: document.getElementById('gened-badges'),
+        editionChanges: document.getElementById('edition-changes'),
+        findModeRadios: document.querySelectorAll('input[name="find-mode"]'),
+        presetFile: document.getElementById('preset-file'),
+        presetBanner: document.getElementById('preset-banner'),
+        presetNotes: document.querySelectorAll('.preset-note'),
+        manualEntryHint: document.getElementById('manual-entry-hint'),
+        manualGenedsGroup: document.getElementById('manual-geneds-group'),
+        courseGenedsInput: document.getElementById('course-geneds-input'),
+        courseGenedsError: document.getElementById('course-geneds-error'),
+
+        // Section & instructors
+        logisticsTerm: document.getElementById('logistics-term'),
+        logisticsSection: document.getElementById('logistics-section-number'),
+        logisticsMeetingTimes: document.getElementById('logistics-meeting-times'),
+        logisticsClassroom: document.getElementById('logistics-classroom'),
+        peopleList: document.getElementById('people-list'),
+        addPersonBtn: document.getElementById('add-person'),
+        personTemplate: document.getElementById('person-template'),
+        officeHoursTemplate: document.getElementById('office-hours-template'),
 
         // Learning outcomes
         objectivesList: document.getElementById('objectives-list'),
         addObjectiveBtn: document.getElementById('add-objective'),
         objectiveTemplate: document.getElementById('objective-template'),
+        objectiveAnalysis: document.getElementById('objective-analysis'),
         genedOutcomesContainer: document.getElementById('gened-outcomes-container'),
 
         // Grading
         gradeScaleRadios: document.querySelectorAll('input[name="grade-scale"]'),
         customScale: document.getElementById('custom-scale'),
-        customScaleInput: document.getElementById('custom-scale-input'),
-        assignmentTbody: document.getElementById('assignment-tbody'),
-        totalPercentage: document.getElementById('total-percentage'),
-        addAssignmentBtn: document.getElementById('add-assignment'),
+        customScaleTbody: document.getElementById('custom-scale-tbody'),
+        addGradeRowBtn: document.getElementById('add-grade-row'),
+        customScaleErrors: document.getElementById('custom-scale-errors'),
+        gradingModeRadios: document.querySelectorAll('input[name="grading-mode"]'),
+        gradingModeHint: document.getElementById('grading-mode-hint'),
+        categoriesList: document.getElementById('categories-list'),
+        categoryTemplate: document.getElementById('category-template'),
+        addCategoryBtn: document.getElementById('add-category'),
+        gradingTotal: document.getElementById('grading-total'),
+        pointsTotalGroup: document.getElementById('points-total-group'),
+        pointsTotal: document.getElementById('points-total'),
+        gradingConversion: document.getElementById('grading-conversion'),
+        gradingErrors: document.getElementById('grading-errors'),
+        gradingWarnings: document.getElementById('grading-warnings'),
+        alignmentMatrix: document.getElementById('alignment-matrix'),
+        alignmentWarnings: document.getElementById('alignment-warnings'),
         attendancePolicy: document.getElementById('attendance-policy'),
 
         // Materials
         materialsList: document.getElementById('materials-list'),
         addMaterialBtn: document.getElementById('add-material'),
+        citationStyle: document.getElementById('citation-style'),
+        referenceImportText: document.getElementById('reference-import-text'),
+        importReferencesBtn: document.getElementById('import-references'),
+        referenceImportFile: document.getElementById('reference-import-file'),
         additionalMaterials: document.getElementById('additional-materials'),
         materialTemplate: document.getElementById('material-template'),
 
+        // Schedule
+        termStart: document.getElementById('term-start'),
+        termEnd: document.getElementById('term-end'),
+        meetingDayCheckboxes: document.querySelectorAll('input[name="meeting-day"]'),
+        skipHolidays: document.getElementById('skip-holidays'),
+        skipDatesList: document.getElementById('skip-dates-list'),
+        addSkipDateBtn: document.getElementById('add-skip-date'),
+        skipDateTemplate: document.getElementById('skip-date-template'),
+        generateScheduleBtn: document.getElementById('generate-schedule'),
+        scheduleError: document.getElementById('schedule-error'),
+        scheduleContainer: document.getElementById('schedule-container'),
+        scheduleTbody: document.getElementById('schedule-tbody'),
+
         // Statements
         diversityStatement: document.getElementById('diversity-statement'),
         includeCompliance: document.getElementById('include-compliance'),
         compliancePreview: document.getElementById('compliance-statement-preview'),
+        statementList: document.getElementById('statement-list'),
+        statementLibraryVersion: document.getElementById('statement-library-version'),
+        statementTemplate: document.getElementById('statement-template'),
         customStatements: document.getElementById('custom-statements'),
 
         // Export
+        includeObjectiveAnalysis: document.getElementById('include-objective-analysis'),
         syllabusPreview: document.getElementById('syllabus-preview'),
+        complianceResults: document.getElementById('compliance-results'),
         copyMarkdownBtn: document.getElementById('copy-markdown'),
         downloadWordBtn: document.getElementById('download-word'),
 
         // Clear button
-        clearBtn: document.getElementById('clear-btn')
+        clearBtn: document.getElementById('clear-btn'),
+
+        // Syllabus library
+        libraryStatus: document.getElementById('library-status'),
+        libraryBtn: document.getElementById('library-btn'),
+        libraryPicker: document.getElementById('library-picker'),
+        libraryClose: document.getElementById('library-close'),
+        libraryList: document.getElementById('library-list'),
+        libraryNew: document.getElementById('library-new'),
+        libraryEntryTemplate: document.getElementById('library-entry-template'),
+        projectFileInput: document.getElementById('project-file-input'),
+        libraryMessages: document.getElementById('library-messages'),
+        rolloverForm: document.getElementById('rollover-form'),
+        rolloverTerm: document.getElementById('rollover-term'),
+        rolloverStart: document.getElementById('rollover-start'),
+        rolloverEnd: document.getElementById('rollover-end'),
+        rolloverSubmit: document.getElementById('rollover-submit'),
+        rolloverCancel: document.getElementById('rollover-cancel')
     };
 
+    // Counter for ids that link grade categories to objectives
+    let idCounter = 0;
+
+    // The saved syllabus being edited (null until a new one is first saved),
+    // and the chain of pending saves so they reach the library in order
+    let activeEntryId = null;
+    let saveQueue = Promise.resolve();
+
+    // Bumped whenever another syllabus is opened or a new one started, so a
+    // save queued for the previous one does not claim the new one's place
+    let librarySession = 0;
+
+    // True while the form is being reset or a saved syllabus restored into
+    // it; the changes that makes are not saved
+    let restoring = false;
+
     /**
      * Initialize the application
      */
-    async function init() {
-        // Initialize modules
-        await CourseLookup.init(handleCourseSelect);
+    function init() {
+        // Initialize modules. The course catalog loads in the background and
+        // the search field shows its own loading state meanwhile.
+        CourseLookup.init(handleCourseSelect, handleEditionChange);
         FormWizard.init(handleStepChange);
         // Export.init() is called lazily when Download Word is clicked
+        StatementLibrary.load().then(renderStatementList);
 
         // Set up event listeners
         setupEventListeners();
 
-        // Add initial assignment row
-        addAssignmentRow();
+        // Add initial instructor and grade category rows
+        addPersonRow();
+        addCategoryRow();
+        renderAlignmentMatrix();
 
-        // Load any saved draft from localStorage
-        loadDraft();
+        // Open the most recent saved syllabus and offer the others
+        openLibrary();
     }
 
     /**
      * Set up all event listeners
      */
     function setupEventListeners() {
+        // Switching to manual course entry
+        elements.findModeRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked && radio.value === 'manual') {
+                    setManualEntry(true);
+                    updateManualCourse();
+                }
+            });
+        });
+
+        // Manually entered course fields
+        [elements.coursePrefix, elements.courseNumber, elements.courseTitle,
+            elements.courseCredits, elements.courseGenedsInput].forEach(input => {
+            input.addEventListener('input', () => {
+                if (isManualEntry()) {
+                    updateManualCourse();
+                }
+            });
+        });
+
+        // Section & instructors
+        [elements.logisticsTerm, elements.logisticsSection,
+            elements.logisticsMeetingTimes, elements.logisticsClassroom].forEach(input => {
+            input.addEventListener('input', updateLogistics);
+        });
+        elements.addPersonBtn.addEventListener('click', () => addPersonRow());
+
         // Grade scale selection
         elements.gradeScaleRadios.forEach(radio => {
             radio.addEventListener('change', handleGradeScaleChange);
         });
 
-        // Custom scale input
-        if (elements.customScaleInput) {
-            elements.customScaleInput.addEventListener('input', () => {
-                SyllabusBuilder.updateField('customScaleText', elements.customScaleInput.value);
-                saveDraft();
-            });
-        }
+        // Custom scale rows
+        elements.addGradeRowBtn.addEventListener('click', () => {
+            addGradeRow();
+            updateCustomScale();
+        });
+
+        // Department preset file
+        elements.presetFile.addEventListener('change', handlePresetFile);
 
         // Add objective button
-        elements.addObjectiveBtn.addEventListener('click', addObjectiveRow);
+        elements.addObjectiveBtn.addEventListener('click', () => addObjectiveRow());
 
-        // Add assignment button
-        elements.addAssignmentBtn.addEventListener('click', addAssignmentRow);
+        // Grade categories
+        elements.gradingModeRadios.forEach(radio => {
+            radio.addEventListener('change', handleGradingModeChange);
+        });
+        elements.addCategoryBtn.addEventListener('click', () => addCategoryRow());
+        elements.pointsTotal.addEventListener('input', updateCategories);
 
         // Add material button
         elements.addMaterialBtn.addEventListener('click', addMaterialRow);
+        elements.citationStyle.addEventListener('change', updateMaterials);
+        elements.importReferencesBtn.addEventListener('click', handleImportReferences);
+        elements.referenceImportFile.addEventListener('change', handleReferenceFile);
+
+        // Section credit hours for variable or unverified credits
+        elements.sectionCredits.addEventListener('input', handleSectionCreditsInput);
+
+        // Schedule settings
+        [elements.termStart, elements.termEnd, elements.skipHolidays,
+            ...elements.meetingDayCheckboxes].forEach(input => {
+            input.addEventListener('change', updateScheduleSettings);
+        });
+        elements.addSkipDateBtn.addEventListener('click', addSkipDateRow);
+        elements.generateScheduleBtn.addEventListener('click', handleGenerateSchedule);
 
         // Course description (editable)
         elements.courseDescription.addEventListener('input', () => {
@@ -139,12 +280,33 @@
             saveDraft();
         });
 
+        // Objective analysis appendix
+        elements.includeObjectiveAnalysis.addEventListener('change', () => {
+            SyllabusBuilder.updateField('includeObjectiveAnalysis', elements.includeObjectiveAnalysis.checked);
+            updatePreview();
+            saveDraft();
+        });
+
         // Export buttons
         elements.copyMarkdownBtn.addEventListener('click', handleCopyMarkdown);
         elements.downloadWordBtn.addEventListener('click', handleDownloadWord);
 
         // Clear button
         elements.clearBtn.addEventListener('click', handleClear);
+
+        // Syllabus library
+        elements.libraryBtn.addEventListener('click', showLibrary);
+        elements.libraryClose.addEventListener('click', hideLibrary);
+        elements.libraryNew.addEventListener('click', handleNewSyllabus);
+        elements.libraryList.addEventListener('click', handleLibraryAction);
+        elements.projectFileInput.addEventListener('change', handleProjectFile);
+        elements.rolloverSubmit.addEventListener('click', handleRollover);
+        elements.rolloverCancel.addEventListener('click', () => {
+            elements.rolloverForm.classList.add('hidden');
+        });
+        elements.libraryPicker.addEventListener('keydown', event => {
+            if (event.key === 'Escape') hideLibrary();
+        });
     }
 
     /**
@@ -152,25 +314,421 @@
      * @param {Object} course - Selected course data
      */
     function handleCourseSelect(course) {
+        setManualEntry(false);
+
         // Update syllabus builder
         SyllabusBuilder.setCourse(course);
+        SyllabusBuilder.updateField('catalogEdition', CourseLookup.getEdition());
 
         // Populate course details
         elements.courseDetails.classList.remove('hidden');
         elements.coursePrefix.value = course.prefix;
         elements.courseNumber.value = course.number;
         elements.courseTitle.value = course.title;
-        elements.courseCredits.value = course.credits;
+        elements.courseCredits.value = Credits.format(course.credits);
         elements.courseDescription.value = course.description;
+        updateSectionCreditsField(course);
 
         // Populate gen ed badges
         elements.genedBadges.innerHTML = course.geneds.map(code =>
-            `<span class="gened-badge">${code}</span>`
+            `<span class="gened-badge">${HtmlSafe.escape(code)}</span>`
         ).join('');
 
         // Populate gen ed outcomes in step 2
         populateGenedOutcomes(course.genedDetails);
+        showEditionChanges(course.key);
+        applyDepartmentPreset(course.prefix);
+
+        saveDraft();
+    }
+
+    /**
+     * Apply the department preset for a course prefix, if there is one.
+     * Leaving the department removes its locks but keeps the filled-in values.
+     * @param {string} prefix - Course prefix
+     */
+    async function applyDepartmentPreset(prefix) {
+        const current = SyllabusBuilder.getData().preset;
+
+        // A preset loaded from a file stays until the form is cleared
+        if (current && current.source === 'file') return;
+
+        const preset = await Presets.findForPrefix(prefix);
+        if (preset) {
+            if (!current || current.id !== preset.id || current.version !== preset.version) {
+                await applyPreset(preset, 'department');
+            }
+        } else if (current) {
+            SyllabusBuilder.updateField('preset', null);
+            applyPresetLocks();
+            saveDraft();
+        }
+    }
+
+    /**
+     * Handle a preset file chosen from disk
+     */
+    async function handlePresetFile() {
+        const file = elements.presetFile.files[0];
+        if (!file) return;
+
+        await StatementLibrary.load();
+        const { preset, errors } = Presets.parse(await file.text());
+        elements.presetFile.value = '';
+
+        if (!preset) {
+            showToast(errors[0], 'error');
+            return;
+        }
+        await applyPreset(preset, 'file');
+    }
+
+    /**
+     * Fill in the sections a preset sets and apply its locks
+     * @param {Object} preset - Valid preset
+     * @param {string} source - 'department' or 'file'
+     */
+    async function applyPreset(preset, source) {
+        await StatementLibrary.load();
+
+        const fields = preset.fields;
+        const locked = preset.locked || [];
+        const required = preset.required || [];
+
+        if (fields.gradeScale) {
+            // A scale the form has no option for is left as it is, so the
+            // rest of the preset and its locks still apply
+            const radio = document.querySelector(`input[name="grade-scale"][value="${fields.gradeScale}"]`);
+            if (radio) {
+                if (fields.customScale) {
+                    setCustomScale(GradeScale.copy(fields.customScale));
+                }
+                radio.checked = true;
+                handleGradeScaleChange({ target: radio });
+            }
+        }
+
+        [
+            ['attendancePolicy', elements.attendancePolicy],
+            ['diversityStatement', elements.diversityStatement],
+            ['customStatements', elements.customStatements]
+        ].forEach(([field, textarea]) => {
+            if (field in fields) {
+                textarea.value = fields[field];
+                SyllabusBuilder.updateField(field, fields[field]);
+            }
+        });
+
+        if (fields.courseObjectives) {
+            const items = Array.from(elements.objectivesList.querySelectorAll('.objective-item'));
+            const presetItems = [];
+
+            // Reuse objectives the instructor already typed, then put the preset's first
+            for (const text of fields.courseObjectives) {
+                let item = items.find(i => i.querySelector('.objective-input').value.trim() === text.trim());
+                if (!item) {
+                    item = addObjectiveRow();
+                    item.querySelector('.objective-input').value = text;
+                }
+                item.dataset.required = 'true';
+                presetItems.push(item);
+            }
+            if (locked.includes('courseObjectives')) {
+                items.filter(item => !presetItems.includes(item)).forEach(item => item.remove());
+            }
+            elements.objectivesList.prepend(...presetItems);
+            updateObjectives();
+        }
+
+        if (fields.policyStatements) {
+            let entries = getPolicyStatements();
+            if (locked.includes('policyStatements')) {
+                entries = [];
+            }
+            for (const id of fields.policyStatements) {
+                const statement = StatementLibrary.getStatement(id);
+                if (statement && !entries.some(entry => entry.id === id)) {
+                    entries.push(StatementLibrary.createEntry(statement));
+                }
+            }
+            SyllabusBuilder.updateField('policyStatements', entries);
+        }
+
+        SyllabusBuilder.updateField('preset', {
+            id: preset.id,
+            name: preset.name,
+            version: preset.version || '',
+            source,
+            locked,
+            required,
+            policyStatements: fields.policyStatements || []
+        });
+
+        renderStatementList();
+        applyPresetLocks();
+        saveDraft();
+        showToast(`Applied the ${preset.name} preset`, 'success');
+    }
+
+    /**
+     * Lock or unlock form sections to match the applied preset
+     */
+    function applyPresetLocks() {
+        const preset = SyllabusBuilder.getData().preset;
+        const isLocked = field => !!preset && preset.locked.includes(field);
+        const isRequired = field => !!preset && preset.required.includes(field);
+
+        elements.presetBanner.classList.toggle('hidden', !preset);
+        elements.presetBanner.innerHTML = '';
+        if (preset) {
+            const name = document.createElement('strong');
+            name.textContent = preset.version ? `${preset.name} (${preset.version})` : preset.name;
+            const details = Presets.describe(preset);
+            elements.presetBanner.append('Using the ', name, ` preset.${details ? ` ${details}` : ''}`);
+        }
+
+        elements.presetNotes.forEach(note => {
+            const field = note.dataset.presetField;
+            let text = '';
+            if (isLocked(field)) {
+                text = `Set by the ${preset.name} preset.`;
+            } else if (isRequired(field)) {
+                text = `The ${preset.name} preset requires some of these; you can add your own.`;
+            }
+            note.textContent = text;
+            note.classList.toggle('hidden', !text);
+        });
+
+        // Grade scale
+        const scaleLocked = isLocked('gradeScale');
+        elements.gradeScaleRadios.forEach(radio => {
+            radio.disabled = scaleLocked;
+        });
+        elements.customScale.querySelectorAll('input, button').forEach(control => {
+            control.disabled = scaleLocked;
+        });
+
+        // Text sections
+        elements.attendancePolicy.readOnly = isLocked('attendancePolicy');
+        elements.diversityStatement.readOnly = isLocked('diversityStatement');
+        elements.customStatements.readOnly = isLocked('customStatements');
+
+        // Learning objectives
+        const objectivesLocked = isLocked('courseObjectives');
+        elements.addObjectiveBtn.disabled = objectivesLocked;
+        elements.objectivesList.querySelectorAll('.objective-item').forEach(item => {
+            const fixed = objectivesLocked || (isRequired('courseObjectives') && item.dataset.required === 'true');
+            item.querySelector('.objective-input').readOnly = fixed;
+            item.querySelector('.remove-objective').disabled = fixed;
+        });
+
+        // Policy statements
+        const statementsLocked = isLocked('policyStatements');
+        const requiredStatements = isRequired('policyStatements') ? preset.policyStatements : [];
+        elements.statementList.querySelectorAll('.statement-item').forEach(item => {
+            item.querySelector('.statement-include').disabled = statementsLocked ||
+                requiredStatements.includes(item.dataset.statementId);
+            item.querySelector('.statement-text').readOnly = statementsLocked;
+            item.querySelector('.reset-statement').disabled = statementsLocked;
+        });
+    }
+
+    /**
+     * Handle the user switching catalog editions: reload the selected catalog
+     * course from the new edition
+     * @param {Object} edition - Edition now in use ({ id, label })
+     */
+    function handleEditionChange(edition) {
+        SyllabusBuilder.updateField('catalogEdition', edition);
+
+        const course = SyllabusBuilder.getData().course;
+        if (!course || course.manual) {
+            saveDraft();
+            return;
+        }
+
+        if (CourseLookup.getCourse(course.key)) {
+            CourseLookup.selectCourse(course.key);
+        } else {
+            showToast(`${course.prefix} ${course.number} is not in the ${edition.label}`, 'error');
+            showEditionChanges(course.key);
+            saveDraft();
+        }
+    }
+
+    /**
+     * Highlight how the selected course differs in other catalog editions
+     * @param {string} courseKey - Course key
+     */
+    async function showEditionChanges(courseKey) {
+        elements.editionChanges.classList.add('hidden');
+        if (!courseKey) return;
+
+        const changes = await CourseLookup.compareEditions(courseKey);
+
+        // Ignore results for a course that is no longer selected
+        const course = SyllabusBuilder.getData().course;
+        if (!course || course.key !== courseKey || course.manual || changes.length === 0) return;
+
+        elements.editionChanges.innerHTML = changes.map(change => {
+            const notes = [];
+            if (change.missing) {
+                notes.push('This course is not listed.');
+            } else {
+                if (change.descriptionChanged) notes.push('The course description is different.');
+                if (change.genedsAdded.length > 0) notes.push(`Gen eds only in this catalog: ${change.genedsAdded.join(', ')}`);
+                if (change.genedsRemoved.length > 0) notes.push(`Gen eds only in that catalog: ${change.genedsRemoved.join(', ')}`);
+            }
+            return `<p><strong>Changed in the ${HtmlSafe.escape(change.edition.label)}:</strong></p>
+                <ul>${notes.map(note => `<li>${HtmlSafe.escape(note)}</li>`).join('')}</ul>`;
+        }).join('');
+        elements.editionChanges.classList.remove('hidden');
+    }
+
+    /**
+     * Check whether the course is being entered by hand
+     * @returns {boolean} True in manual entry mode
+     */
+    function isManualEntry() {
+        return !elements.courseTitle.readOnly;
+    }
+
+    /**
+     * Switch the course detail fields between catalog (read-only) and manual entry
+     * @param {boolean} enabled - Whether manual entry is on
+     */
+    function setManualEntry(enabled) {
+        [elements.coursePrefix, elements.courseNumber, elements.courseTitle, elements.courseCredits]
+            .forEach(input => {
+                input.readOnly = !enabled;
+            });
+        elements.manualEntryHint.classList.toggle('hidden', !enabled);
+        elements.manualGenedsGroup.classList.toggle('hidden', !enabled);
+
+        if (enabled) {
+            elements.courseDetails.classList.remove('hidden');
+            const data = SyllabusBuilder.getData();
+            if (data.course && !elements.courseGenedsInput.value) {
+                elements.courseGenedsInput.value = (data.course.geneds || []).join(', ');
+            }
+        } else {
+            elements.courseGenedsError.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Build the course from the manual entry fields
+     */
+    function updateManualCourse() {
+        const codes = elements.courseGenedsInput.value
+            .split(/[\s,;]+/)
+            .map(code => code.trim().toUpperCase())
+            .filter(Boolean);
+        const { details, unknown } = CourseLookup.resolveGeneds([...new Set(codes)]);
+
+        if (unknown.length > 0) {
+            elements.courseGenedsError.textContent = `Unknown gen ed ${unknown.length === 1 ? 'code' : 'codes'}: ${unknown.join(', ')}. Only recognized codes are included.`;
+            elements.courseGenedsError.classList.remove('hidden');
+        } else {
+            elements.courseGenedsError.classList.add('hidden');
+        }
+
+        const prefix = elements.coursePrefix.value.trim().toUpperCase();
+        const number = elements.courseNumber.value.trim().toUpperCase();
+        const credits = Credits.parse(elements.courseCredits.value);
+        const previous = SyllabusBuilder.getData().course;
+
+        const course = {
+            key: `${prefix}${number}`,
+            prefix,
+            number,
+            title: elements.courseTitle.value.trim(),
+            credits,
+            description: elements.courseDescription.value,
+            geneds: details.map(gened => gened.code),
+            genedDetails: details,
+            manual: true
+        };
+        if (credits !== null && !Credits.isPlausible(credits)) {
+            course.creditsSuspect = true;
+        }
+        if (previous && Credits.isWithin(previous.sectionCredits, course.creditsSuspect ? null : credits)) {
+            course.sectionCredits = previous.sectionCredits;
+        }
+        SyllabusBuilder.setCourse(course);
+        updateSectionCreditsField(course);
+
+        elements.genedBadges.innerHTML = course.geneds.map(code =>
+            `<span class="gened-badge">${HtmlSafe.escape(code)}</span>`
+        ).join('');
+
+        // Only rebuild the outcome checkboxes when the gen eds change,
+        // so typing elsewhere doesn't reset confirmations
+        const previousCodes = previous && previous.manual ? previous.geneds.join(',') : null;
+        if (previousCodes !== course.geneds.join(',')) {
+            populateGenedOutcomes(course.genedDetails);
+        } else {
+            updateConfirmedGeneds();
+        }
+
+        saveDraft();
+    }
+
+    /**
+     * Show the section credit hours field when the course's credits are
+     * variable or look wrong
+     * @param {Object} course - Course data
+     */
+    function updateSectionCreditsField(course) {
+        const variable = Credits.isVariable(course.credits);
+        const needsChoice = variable || Boolean(course.creditsSuspect);
+
+        elements.sectionCreditsGroup.classList.toggle('hidden', !needsChoice);
+        elements.sectionCreditsError.classList.add('hidden');
+        if (!needsChoice) {
+            delete course.sectionCredits;
+            elements.sectionCredits.value = '';
+            return;
+        }
+
+        if (course.creditsSuspect) {
+            elements.sectionCreditsHint.textContent = `${course.manual ? 'The credits entered' : 'The catalog lists'} ${Credits.format(course.credits)} credits, which looks like an error. Enter the credit hours for your section; credits are left out of the syllabus until you do.`;
+            elements.sectionCredits.min = 0;
+            elements.sectionCredits.removeAttribute('max');
+        } else {
+            const { min, max } = Credits.bounds(course.credits);
+            elements.sectionCreditsHint.textContent = `This course carries ${min}–${max} credits. Enter the credit hours for your section.`;
+            elements.sectionCredits.min = min;
+            elements.sectionCredits.max = max;
+        }
+        elements.sectionCredits.value = typeof course.sectionCredits === 'number' ? course.sectionCredits : '';
+    }
 
+    /**
+     * Handle input in the section credit hours field
+     */
+    function handleSectionCreditsInput() {
+        const course = SyllabusBuilder.getData().course;
+        if (!course) return;
+
+        const raw = elements.sectionCredits.value.trim();
+        const value = parseFloat(raw);
+        const allowed = course.creditsSuspect ? null : course.credits;
+
+        delete course.sectionCredits;
+        elements.sectionCreditsError.classList.add('hidden');
+
+        if (raw && Credits.isWithin(value, allowed)) {
+            course.sectionCredits = value;
+        } else if (raw) {
+            const { min, max } = allowed === null ? {} : Credits.bounds(allowed);
+            elements.sectionCreditsError.textContent = allowed === null
+                ? 'Enter a positive number of credit hours.'
+                : `Enter a value from ${min} to ${max}.`;
+            elements.sectionCreditsError.classList.remove('hidden');
+        }
+
+        SyllabusBuilder.setCourse(course);
         saveDraft();
     }
 
@@ -185,13 +743,13 @@
         }
 
         elements.genedOutcomesContainer.innerHTML = geneds.map(gened => `
-            <div class="gened-outcome-section" data-gened-code="${gened.code}">
+            <div class="gened-outcome-section" data-gened-code="${HtmlSafe.escape(gened.code)}">
                 <label class="gened-checkbox">
-                    <input type="checkbox" class="gened-confirm" data-code="${gened.code}" checked>
-                    <span class="gened-title">${gened.name} (${gened.code})</span>
+                    <input type="checkbox" class="gened-confirm" data-code="${HtmlSafe.escape(gened.code)}" checked>
+                    <span class="gened-title">${HtmlSafe.escape(gened.name)} (${HtmlSafe.escape(gened.code)})</span>
                 </label>
                 <ul>
-                    ${gened.outcomes.map(outcome => `<li>${outcome}</li>`).join('')}
+                    ${gened.outcomes.map(outcome => `<li>${HtmlSafe.escape(outcome)}</li>`).join('')}
                 </ul>
             </div>
         `).join('');
@@ -230,6 +788,99 @@
         });
 
         SyllabusBuilder.updateField('confirmedGeneds', confirmed);
+        renderAlignmentMatrix();
+        saveDraft();
+    }
+
+    /**
+     * Add an instructor or TA row
+     * @param {string} role - 'instructor' or 'ta'
+     * @returns {HTMLElement} The new row
+     */
+    function addPersonRow(role = 'instructor') {
+        const template = elements.personTemplate.content.cloneNode(true);
+        const personItem = template.querySelector('.person-item');
+
+        personItem.querySelector('.person-role').value = role;
+        personItem.querySelector('.person-role').addEventListener('change', updateLogistics);
+        personItem.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', updateLogistics);
+        });
+
+        personItem.querySelector('.add-office-hours').addEventListener('click', () => {
+            addOfficeHoursRow(personItem);
+            updateLogistics();
+        });
+
+        personItem.querySelector('.remove-person').addEventListener('click', () => {
+            personItem.remove();
+            updateLogistics();
+        });
+
+        elements.peopleList.appendChild(personItem);
+        return personItem;
+    }
+
+    /**
+     * Add an office-hours slot to an instructor or TA row
+     * @param {HTMLElement} personItem - Row to add the slot to
+     * @returns {HTMLElement} The new slot
+     */
+    function addOfficeHoursRow(personItem) {
+        const template = elements.officeHoursTemplate.content.cloneNode(true);
+        const slotItem = template.querySelector('.office-hours-item');
+
+        slotItem.querySelector('.office-hours-day').addEventListener('change', updateLogistics);
+        slotItem.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', updateLogistics);
+        });
+
+        slotItem.querySelector('.remove-office-hours').addEventListener('click', () => {
+            slotItem.remove();
+            updateLogistics();
+        });
+
+        personItem.querySelector('.office-hours-list').appendChild(slotItem);
+        return slotItem;
+    }
+
+    /**
+     * Update section and instructor data
+     */
+    function updateLogistics() {
+        const people = [];
+
+        elements.peopleList.querySelectorAll('.person-item').forEach(item => {
+            const officeHours = [];
+            item.querySelectorAll('.office-hours-item').forEach(slot => {
+                officeHours.push({
+                    day: slot.querySelector('.office-hours-day').value,
+                    start: slot.querySelector('.office-hours-start').value,
+                    end: slot.querySelector('.office-hours-end').value,
+                    location: slot.querySelector('.office-hours-location').value.trim()
+                });
+            });
+
+            const person = {
+                role: item.querySelector('.person-role').value,
+                name: item.querySelector('.person-name').value.trim(),
+                email: item.querySelector('.person-email').value.trim(),
+                office: item.querySelector('.person-office').value.trim(),
+                officeHours
+            };
+
+            if (person.name || person.email || person.office || officeHours.length > 0) {
+                people.push(person);
+            }
+        });
+
+        SyllabusBuilder.updateField('logistics', {
+            term: elements.logisticsTerm.value.trim(),
+            section: elements.logisticsSection.value.trim(),
+            meetingTimes: elements.logisticsMeetingTimes.value.trim(),
+            classroom: elements.logisticsClassroom.value.trim(),
+            people
+        });
         saveDraft();
     }
 
@@ -243,8 +894,9 @@
         collectStepData(previousStep);
 
         // If moving to preview step, update preview
-        if (newStep === 6) {
+        if (newStep === FormWizard.getTotalSteps()) {
             updatePreview();
+            runComplianceCheck();
         }
 
         saveDraft();
@@ -256,6 +908,9 @@
      */
     function collectStepData(step) {
         switch (step) {
+            case 1:
+                updateLogistics();
+                break;
             case 2:
                 updateObjectives();
                 break;
@@ -266,6 +921,9 @@
                 collectMaterialsData();
                 break;
             case 5:
+                updateScheduleSettings();
+                break;
+            case 6:
                 SyllabusBuilder.updateField('diversityStatement', elements.diversityStatement.value);
                 SyllabusBuilder.updateField('customStatements', elements.customStatements.value);
                 break;
@@ -280,6 +938,10 @@
         SyllabusBuilder.updateField('gradeScale', value);
 
         if (value === 'plusminus') {
+            // Start a new custom scale from the standard one
+            if (SyllabusBuilder.getData().customScale.length === 0) {
+                setCustomScale(GradeScale.copy(GradeScale.STANDARD));
+            }
             elements.customScale.classList.remove('hidden');
         } else {
             elements.customScale.classList.add('hidden');
@@ -288,12 +950,98 @@
         saveDraft();
     }
 
+    /**
+     * Add a row to the custom grade scale editor
+     * @param {Object} row - Optional { grade, min } to fill in
+     */
+    function addGradeRow(row = {}) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="text" class="grade-input" placeholder="e.g., B+" aria-label="Grade"></td>
+            <td><input type="number" class="grade-min-input" min="0" max="100" step="any" placeholder="0" aria-label="Minimum score"></td>
+            <td class="grade-range"></td>
+            <td><button type="button" class="btn btn-remove remove-grade">Remove</button></td>
+        `;
+        tr.querySelector('.grade-input').value = row.grade || '';
+        tr.querySelector('.grade-min-input').value = typeof row.min === 'number' ? row.min : '';
+
+        tr.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', updateCustomScale);
+        });
+        tr.querySelector('.remove-grade').addEventListener('click', () => {
+            tr.remove();
+            updateCustomScale();
+        });
+
+        elements.customScaleTbody.appendChild(tr);
+    }
+
+    /**
+     * Replace the rows of the custom grade scale editor
+     * @param {Array} scale - Rows as { grade, min }
+     */
+    function setCustomScale(scale) {
+        elements.customScaleTbody.innerHTML = '';
+        scale.forEach(row => addGradeRow(row));
+        updateCustomScale();
+    }
+
+    /**
+     * Update custom grade scale data, ranges and validation messages
+     */
+    function updateCustomScale() {
+        const rows = elements.customScaleTbody.querySelectorAll('tr');
+        const scale = Array.from(rows).map(row => {
+            const min = row.querySelector('.grade-min-input').value;
+            return {
+                grade: row.querySelector('.grade-input').value.trim(),
+                min: min === '' ? null : parseFloat(min)
+            };
+        });
+
+        const errors = GradeScale.validate(scale);
+        const ranges = errors.length === 0 ? GradeScale.withRanges(scale) : [];
+        rows.forEach((row, index) => {
+            row.querySelector('.grade-range').textContent = ranges[index]
+                ? GradeScale.formatRange(ranges[index], index === 0)
+                : '';
+        });
+
+        elements.customScaleErrors.innerHTML = '';
+        elements.customScaleErrors.classList.toggle('hidden', errors.length === 0);
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+            elements.customScaleErrors.appendChild(list);
+        }
+
+        SyllabusBuilder.updateField('customScale', scale);
+        saveDraft();
+    }
+
+    /**
+     * Create an id for an objective or grade category
+     * @param {string} prefix - 'obj' or 'asg'
+     * @returns {string} Id unique within this and earlier sessions
+     */
+    function createId(prefix) {
+        idCounter += 1;
+        return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+    }
+
     /**
      * Add a new objective row
+     * @param {string} id - Objective id (a new one is created if omitted)
+     * @returns {HTMLElement} The new row
      */
-    function addObjectiveRow() {
+    function addObjectiveRow(id) {
         const template = elements.objectiveTemplate.content.cloneNode(true);
         const objectiveItem = template.querySelector('.objective-item');
+        objectiveItem.dataset.id = id || createId('obj');
 
         // Add event listener for input
         objectiveItem.querySelector('.objective-input').addEventListener('input', updateObjectives);
@@ -305,6 +1053,7 @@
         });
 
         elements.objectivesList.appendChild(objectiveItem);
+        return objectiveItem;
     }
 
     /**
@@ -317,81 +1066,385 @@
         items.forEach(item => {
             const text = item.querySelector('.objective-input').value.trim();
             if (text) {
-                objectives.push(text);
+                const objective = { id: item.dataset.id, text };
+                if (item.dataset.required === 'true') objective.required = true;
+                objectives.push(objective);
             }
         });
 
         SyllabusBuilder.updateField('courseObjectives', objectives);
+        renderObjectiveAnalysis();
+        renderAlignmentMatrix();
         saveDraft();
     }
 
     /**
-     * Add a new assignment row
+     * Show the Bloom's level of each objective's verb and the spread across levels
      */
-    function addAssignmentRow() {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td><input type="text" class="assignment-name" placeholder="e.g., Midterm Exam"></td>
-            <td><input type="number" class="percentage-input" min="0" max="100" placeholder="0"></td>
-            <td><button type="button" class="btn btn-remove remove-assignment">Remove</button></td>
-        `;
+    function renderObjectiveAnalysis() {
+        const items = elements.objectivesList.querySelectorAll('.objective-item');
+        const texts = [];
 
-        // Add event listeners
-        row.querySelector('.assignment-name').addEventListener('input', updateAssignments);
-        row.querySelector('.percentage-input').addEventListener('input', updateAssignments);
-        row.querySelector('.remove-assignment').addEventListener('click', () => {
-            row.remove();
-            updateAssignments();
+        items.forEach(item => {
+            const text = item.querySelector('.objective-input').value;
+            const result = ObjectiveAnalyzer.analyze(text);
+            const hint = item.querySelector('.objective-hint');
+
+            hint.textContent = ObjectiveAnalyzer.describe(result);
+            hint.classList.toggle('hidden', result.status === 'empty');
+            hint.classList.toggle('warning', result.status === 'unmeasurable');
+            hint.classList.toggle('unknown', result.status === 'unknown');
+            texts.push(text);
+        });
+
+        const summary = ObjectiveAnalyzer.summarize(texts);
+        elements.objectiveAnalysis.classList.toggle('hidden', summary.total === 0);
+        elements.objectiveAnalysis.innerHTML = '';
+        if (summary.total === 0) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Cognitive levels (Bloom\'s taxonomy)';
+        elements.objectiveAnalysis.appendChild(heading);
+
+        const maxCount = Math.max(1, ...summary.levels.map(entry => entry.count));
+        summary.levels.forEach(({ level, count }) => {
+            const row = document.createElement('div');
+            row.className = 'bloom-level';
+            row.innerHTML = `
+                <span class="bloom-level-name">${HtmlSafe.escape(level.name)}</span>
+                <span class="bloom-level-bar" style="width: ${(count / maxCount) * 10}rem"></span>
+                <span class="bloom-level-count">${count}</span>
+            `;
+            elements.objectiveAnalysis.appendChild(row);
         });
 
-        elements.assignmentTbody.appendChild(row);
+        const flagged = summary.unmeasurable + summary.unknown;
+        if (flagged > 0) {
+            const note = document.createElement('p');
+            note.className = 'objective-analysis-note';
+            note.textContent = `${flagged} of ${summary.total} objectives need a measurable verb.`;
+            elements.objectiveAnalysis.appendChild(note);
+        }
     }
 
     /**
-     * Update assignments data and total
+     * Get the selected grading mode
+     * @returns {string} 'percent' or 'points'
      */
-    function updateAssignments() {
-        const rows = elements.assignmentTbody.querySelectorAll('tr');
-        const assignments = [];
-        let total = 0;
-
-        rows.forEach(row => {
-            const name = row.querySelector('.assignment-name').value;
-            const percentage = parseFloat(row.querySelector('.percentage-input').value) || 0;
+    function getGradingMode() {
+        const selected = document.querySelector('input[name="grading-mode"]:checked');
+        return selected ? selected.value : 'percent';
+    }
 
-            if (name || percentage) {
-                assignments.push({ name, percentage });
-            }
-            total += percentage;
+    /**
+     * Handle switching between percentage and points grading
+     */
+    function handleGradingModeChange() {
+        const points = getGradingMode() === 'points';
+        SyllabusBuilder.updateField('gradingMode', points ? 'points' : 'percent');
+
+        elements.gradingModeHint.textContent = points
+            ? 'Give each category its points, or add items and their points. Percentages of the final grade are worked out for you.'
+            : 'Give each category its weight in the final grade. Weights should total 100%.';
+        elements.pointsTotalGroup.classList.toggle('hidden', !points);
+        elements.categoriesList.querySelectorAll('.category-weight-label').forEach(label => {
+            label.textContent = points ? 'Points' : 'Weight (%)';
         });
 
-        SyllabusBuilder.updateField('assignments', assignments);
-
-        // Update total display
-        elements.totalPercentage.textContent = `${total}%`;
-        elements.totalPercentage.classList.remove('error', 'success');
-        if (total === 100) {
-            elements.totalPercentage.classList.add('success');
-        } else if (total !== 0) {
-            elements.totalPercentage.classList.add('error');
-        }
-
-        saveDraft();
+        updateCategories();
     }
 
     /**
-     * Collect grading data from form
+     * Add a new grade category
+     * @param {string} id - Category id (a new one is created if omitted)
+     * @returns {HTMLElement} The new category
      */
-    function collectGradingData() {
-        const selectedScale = document.querySelector('input[name="grade-scale"]:checked');
-        SyllabusBuilder.updateField('gradeScale', selectedScale ? selectedScale.value : 'standard');
-        SyllabusBuilder.updateField('customScaleText', elements.customScaleInput.value);
-        SyllabusBuilder.updateField('attendancePolicy', elements.attendancePolicy.value);
-        updateAssignments();
+    function addCategoryRow(id) {
+        const template = elements.categoryTemplate.content.cloneNode(true);
+        const categoryItem = template.querySelector('.category-item');
+        categoryItem.dataset.id = id || createId('asg');
+
+        if (getGradingMode() === 'points') {
+            categoryItem.querySelector('.category-weight-label').textContent = 'Points';
+        }
+
+        categoryItem.querySelectorAll('.category-name, .category-weight, .category-drop').forEach(input => {
+            input.addEventListener('input', updateCategories);
+        });
+        categoryItem.querySelector('.category-extra-credit').addEventListener('change', updateCategories);
+
+        categoryItem.querySelector('.add-item').addEventListener('click', () => {
+            addItemRow(categoryItem);
+            updateCategories();
+        });
+
+        categoryItem.querySelector('.remove-category').addEventListener('click', () => {
+            categoryItem.remove();
+            updateCategories();
+        });
+
+        elements.categoriesList.appendChild(categoryItem);
+        return categoryItem;
     }
 
     /**
-     * Add a new material row
+     * Add an item row to a grade category
+     * @param {HTMLElement} categoryItem - Category to add the item to
+     * @returns {HTMLElement} The new row
+     */
+    function addItemRow(categoryItem) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="item-name" placeholder="e.g., Weekly quiz" aria-label="Item"></td>
+            <td><input type="number" class="item-count" min="1" step="1" placeholder="1" aria-label="How many"></td>
+            <td><input type="number" class="item-points" min="0" step="any" placeholder="0" aria-label="Points each"></td>
+            <td><button type="button" class="btn btn-remove remove-item">Remove</button></td>
+        `;
+
+        row.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', updateCategories);
+        });
+        row.querySelector('.remove-item').addEventListener('click', () => {
+            row.remove();
+            updateCategories();
+        });
+
+        categoryItem.querySelector('.category-items').appendChild(row);
+        categoryItem.querySelector('.category-items-table').classList.remove('hidden');
+        return row;
+    }
+
+    /**
+     * Read a number input
+     * @param {HTMLInputElement} input - Input
+     * @returns {number|null} Value, or null if empty
+     */
+    function readNumber(input) {
+        const value = parseFloat(input.value);
+        return isFinite(value) ? value : null;
+    }
+
+    /**
+     * Update grade categories, totals and the conversion check
+     */
+    function updateCategories() {
+        const mode = getGradingMode();
+        const previous = new Map(SyllabusBuilder.getData().gradeCategories.map(c => [c.id, c]));
+        const categories = [];
+
+        elements.categoriesList.querySelectorAll('.category-item').forEach(categoryItem => {
+            const items = [];
+            const itemRows = categoryItem.querySelectorAll('.category-items tr');
+            itemRows.forEach(row => {
+                const item = {
+                    name: row.querySelector('.item-name').value.trim(),
+                    count: readNumber(row.querySelector('.item-count')),
+                    points: readNumber(row.querySelector('.item-points'))
+                };
+                if (item.name || item.count !== null || item.points !== null) {
+                    items.push(item);
+                }
+            });
+            categoryItem.querySelector('.category-items-table').classList.toggle('hidden', itemRows.length === 0);
+
+            const tags = previous.get(categoryItem.dataset.id) || {};
+            const savedWeight = typeof tags.weight === 'number' ? tags.weight : null;
+
+            // In points mode, a category with items gets its points from them;
+            // the weight typed for it is kept for switching back to percentages
+            const weightInput = categoryItem.querySelector('.category-weight');
+            const pointsFromItems = mode === 'points' && items.length > 0;
+            if (weightInput.disabled && !pointsFromItems) {
+                weightInput.value = savedWeight !== null ? savedWeight : '';
+            }
+            weightInput.disabled = pointsFromItems;
+
+            const category = {
+                id: categoryItem.dataset.id,
+                name: categoryItem.querySelector('.category-name').value.trim(),
+                weight: pointsFromItems ? savedWeight : readNumber(weightInput),
+                dropLowest: Math.max(0, Math.floor(readNumber(categoryItem.querySelector('.category-drop')) || 0)),
+                extraCredit: categoryItem.querySelector('.category-extra-credit').checked,
+                items,
+                objectives: tags.objectives || [],
+                geneds: tags.geneds || []
+            };
+
+            if (category.name || category.weight !== null || items.length > 0) {
+                categories.push(category);
+            }
+        });
+
+        const pointsTotal = readNumber(elements.pointsTotal);
+        SyllabusBuilder.updateField('gradeCategories', categories);
+        SyllabusBuilder.updateField('pointsTotal', pointsTotal);
+
+        renderGradingSummary(Grading.summarize(categories, mode, pointsTotal));
+        renderAlignmentMatrix();
+        saveDraft();
+    }
+
+    /**
+     * Show the grade total, the points conversion and any problems
+     * @param {Object} summary - Result of Grading.summarize()
+     */
+    function renderGradingSummary(summary) {
+        const points = summary.mode === 'points';
+        const hasCategories = summary.rows.some(row => !row.extraCredit);
+
+        elements.gradingTotal.textContent = points
+            ? `${Grading.formatNumber(summary.total)} points`
+            : `${Grading.formatNumber(summary.total)}%`;
+        elements.gradingTotal.classList.remove('error', 'success');
+        if (hasCategories) {
+            elements.gradingTotal.classList.add(summary.errors.length === 0 ? 'success' : 'error');
+        }
+
+        // Show computed points on categories whose items set them
+        elements.categoriesList.querySelectorAll('.category-item').forEach(categoryItem => {
+            const row = summary.rows.find(r => r.category.id === categoryItem.dataset.id);
+            const weightInput = categoryItem.querySelector('.category-weight');
+            if (weightInput.disabled && row) {
+                weightInput.value = Grading.formatNumber(row.value);
+            }
+        });
+
+        elements.gradingConversion.innerHTML = '';
+        elements.gradingConversion.classList.toggle('hidden', !points || summary.total <= 0);
+        if (points && summary.total > 0) {
+            const list = summary.rows
+                .filter(row => row.category.name)
+                .map(row => `${row.category.name}: ${Grading.formatNumber(row.percent, 1)}%${row.extraCredit ? ' extra credit' : ''}`)
+                .join(' · ');
+            elements.gradingConversion.textContent = `Share of final grade: ${list}`;
+        }
+
+        [[elements.gradingErrors, summary.errors], [elements.gradingWarnings, summary.warnings]].forEach(([container, messages]) => {
+            container.innerHTML = '';
+            container.classList.toggle('hidden', messages.length === 0);
+            if (messages.length === 0) return;
+
+            const list = document.createElement('ul');
+            messages.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        });
+    }
+
+    /**
+     * Render the objective/outcome by grade category alignment matrix
+     */
+    function renderAlignmentMatrix() {
+        const alignment = SyllabusBuilder.getAlignment();
+        elements.alignmentMatrix.innerHTML = '';
+
+        if (alignment.categories.length === 0 || alignment.rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'alignment-empty';
+            empty.textContent = 'Add learning objectives or confirm gen ed outcomes, and name your grade categories, to map them here.';
+            elements.alignmentMatrix.appendChild(empty);
+            updateAlignmentWarnings();
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'alignment-table';
+
+        const headerRow = table.createTHead().insertRow();
+        const corner = document.createElement('th');
+        corner.textContent = 'Outcome';
+        headerRow.appendChild(corner);
+        alignment.categories.forEach(category => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = category.name;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        alignment.rows.forEach(row => {
+            const tr = tbody.insertRow();
+            tr.classList.toggle('unassessed', row.assessedBy.length === 0);
+
+            const labelCell = document.createElement('th');
+            labelCell.scope = 'row';
+            labelCell.innerHTML = `<strong>${HtmlSafe.escape(row.label)}:</strong> `;
+            labelCell.appendChild(document.createTextNode(row.text));
+            tr.appendChild(labelCell);
+
+            alignment.categories.forEach(category => {
+                const cell = tr.insertCell();
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row.assessedBy.includes(category);
+                checkbox.setAttribute('aria-label', `${category.name} assesses ${row.label}`);
+                checkbox.addEventListener('change', () => {
+                    toggleAlignment(category.id, row, checkbox.checked);
+                });
+                cell.appendChild(checkbox);
+            });
+        });
+
+        elements.alignmentMatrix.appendChild(table);
+        updateAlignmentWarnings();
+    }
+
+    /**
+     * Tag or untag a grade category with an objective or gen ed outcome
+     * @param {string} categoryId - Grade category id
+     * @param {Object} row - Alignment row ({ id, type })
+     * @param {boolean} checked - Whether the category assesses the row
+     */
+    function toggleAlignment(categoryId, row, checked) {
+        const field = row.type === 'objective' ? 'objectives' : 'geneds';
+        const categories = SyllabusBuilder.getData().gradeCategories.map(category => {
+            if (category.id !== categoryId) return category;
+
+            const ids = category[field].filter(id => id !== row.id);
+            if (checked) ids.push(row.id);
+            return { ...category, [field]: ids };
+        });
+
+        SyllabusBuilder.updateField('gradeCategories', categories);
+        renderAlignmentMatrix();
+        saveDraft();
+    }
+
+    /**
+     * Show objectives and gen ed outcomes that no grade category assesses
+     */
+    function updateAlignmentWarnings() {
+        const unassessed = SyllabusBuilder.getUnassessedOutcomes();
+        elements.alignmentWarnings.classList.toggle('hidden', unassessed.length === 0);
+        elements.alignmentWarnings.innerHTML = '';
+        if (unassessed.length === 0) return;
+
+        const heading = document.createElement('strong');
+        heading.textContent = 'Not assessed by any grade category:';
+        const list = document.createElement('ul');
+        unassessed.forEach(row => {
+            const item = document.createElement('li');
+            item.textContent = `${row.label}: ${row.text}`;
+            list.appendChild(item);
+        });
+        elements.alignmentWarnings.append(heading, list);
+    }
+
+    /**
+     * Collect grading data from form
+     */
+    function collectGradingData() {
+        const selectedScale = document.querySelector('input[name="grade-scale"]:checked');
+        SyllabusBuilder.updateField('gradeScale', selectedScale ? selectedScale.value : 'standard');
+        SyllabusBuilder.updateField('attendancePolicy', elements.attendancePolicy.value);
+        updateCategories();
+    }
+
+    /**
+     * Add a new material row
      */
     function addMaterialRow() {
         const template = elements.materialTemplate.content.cloneNode(true);
@@ -401,6 +1454,9 @@
         materialItem.querySelectorAll('input').forEach(input => {
             input.addEventListener('input', updateMaterials);
         });
+        materialItem.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', updateMaterials);
+        });
 
         // Add remove button listener
         materialItem.querySelector('.remove-material').addEventListener('click', () => {
@@ -411,31 +1467,152 @@
         elements.materialsList.appendChild(materialItem);
     }
 
+    /**
+     * Fill a material row's fields
+     * @param {HTMLElement} item - Material row
+     * @param {Object} material - Material
+     */
+    function fillMaterialRow(item, material) {
+        item.querySelector('.material-type').value = material.type || 'book';
+        item.querySelector('.material-title').value = material.title || '';
+        item.querySelector('.material-author').value = material.author || '';
+        item.querySelector('.material-container').value = material.container || '';
+        item.querySelector('.material-publisher').value = material.publisher || '';
+        item.querySelector('.material-edition').value = material.edition || '';
+        item.querySelector('.material-year').value = material.year || '';
+        item.querySelector('.material-url').value = material.url || '';
+        item.querySelector('.material-isbn').value = material.isbn || '';
+        item.querySelector('.material-required').value =
+            material.required === false ? 'recommended' : 'required';
+        updateMaterialItem(item, material, elements.citationStyle.value);
+    }
+
+    /**
+     * Import the references pasted into the import box
+     */
+    function handleImportReferences() {
+        if (importReferences(elements.referenceImportText.value)) {
+            elements.referenceImportText.value = '';
+        }
+    }
+
+    /**
+     * Import references from an uploaded file
+     */
+    async function handleReferenceFile() {
+        const file = elements.referenceImportFile.files[0];
+        if (!file) return;
+
+        const text = await file.text();
+        elements.referenceImportFile.value = '';
+        importReferences(text);
+    }
+
+    /**
+     * Add material rows for references that are not already listed
+     * @param {string} text - BibTeX, RIS or CSL-JSON
+     * @returns {boolean} True if the references could be read
+     */
+    function importReferences(text) {
+        const { materials, errors } = ReferenceImport.parse(text);
+        if (materials.length === 0) {
+            showToast(errors[0], 'error');
+            return false;
+        }
+
+        // Imported references replace rows that were added but left empty
+        elements.materialsList.querySelectorAll('.material-item').forEach(item => {
+            const inputs = [...item.querySelectorAll('input')];
+            if (inputs.every(input => !input.value.trim())) item.remove();
+        });
+
+        const listed = [...SyllabusBuilder.getData().materials];
+        let added = 0;
+        materials.forEach(material => {
+            if (ReferenceImport.isDuplicate(material, listed)) return;
+
+            addMaterialRow();
+            const items = elements.materialsList.querySelectorAll('.material-item');
+            fillMaterialRow(items[items.length - 1], material);
+            listed.push(material);
+            added++;
+        });
+        updateMaterials();
+
+        const skipped = materials.length - added;
+        let message = `Imported ${added} ${added === 1 ? 'reference' : 'references'}`;
+        if (skipped > 0) message += `; ${skipped} already listed`;
+        if (errors.length > 0) message += `. ${errors.join(' ')}`;
+        showToast(message.endsWith('.') ? message : `${message}.`, errors.length > 0 ? 'error' : 'success');
+        return true;
+    }
+
     /**
      * Update materials data
      */
     function updateMaterials() {
         const items = elements.materialsList.querySelectorAll('.material-item');
+        const style = elements.citationStyle.value;
         const materials = [];
 
         items.forEach(item => {
             const material = {
+                type: item.querySelector('.material-type').value,
                 title: item.querySelector('.material-title').value,
                 author: item.querySelector('.material-author').value,
+                container: item.querySelector('.material-container').value,
                 publisher: item.querySelector('.material-publisher').value,
                 edition: item.querySelector('.material-edition').value,
-                isbn: item.querySelector('.material-isbn').value
+                year: item.querySelector('.material-year').value,
+                url: item.querySelector('.material-url').value,
+                isbn: item.querySelector('.material-isbn').value,
+                required: item.querySelector('.material-required').value === 'required'
             };
 
+            updateMaterialItem(item, material, style);
             if (material.title) {
                 materials.push(material);
             }
         });
 
+        SyllabusBuilder.updateField('citationStyle', style);
         SyllabusBuilder.updateField('materials', materials);
         saveDraft();
     }
 
+    /**
+     * Show the container field for a material's type, flag an invalid ISBN
+     * and preview its citation
+     * @param {HTMLElement} item - Material row
+     * @param {Object} material - Material read from the row
+     * @param {string} style - Citation style
+     */
+    function updateMaterialItem(item, material, style) {
+        const type = Citation.TYPES.find(t => t.id === material.type);
+        const containerGroup = item.querySelector('.material-container-group');
+        containerGroup.classList.toggle('hidden', !type || !type.container);
+        if (type && type.container) {
+            item.querySelector('.material-container-label').textContent = type.container;
+        }
+
+        const isbnInput = item.querySelector('.material-isbn');
+        const isbnError = item.querySelector('.material-isbn-error');
+        const isbnCheck = (material.isbn || '').trim() ? Isbn.validate(material.isbn) : { valid: true };
+        isbnInput.setAttribute('aria-invalid', String(!isbnCheck.valid));
+        isbnError.textContent = isbnCheck.error || '';
+        isbnError.classList.toggle('hidden', isbnCheck.valid);
+
+        const citation = item.querySelector('.material-citation');
+        citation.innerHTML = '';
+        if (!material.title) return;
+
+        Citation.format(material, style).forEach(run => {
+            const node = document.createElement(run.italic ? 'em' : 'span');
+            node.textContent = run.text;
+            citation.appendChild(node);
+        });
+    }
+
     /**
      * Collect materials data from form
      */
@@ -444,12 +1621,283 @@
         SyllabusBuilder.updateField('additionalMaterials', elements.additionalMaterials.value);
     }
 
+    /**
+     * Add a no-class date range row
+     */
+    function addSkipDateRow() {
+        const template = elements.skipDateTemplate.content.cloneNode(true);
+        const skipItem = template.querySelector('.skip-date-item');
+
+        skipItem.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', updateScheduleSettings);
+        });
+
+        skipItem.querySelector('.remove-skip-date').addEventListener('click', () => {
+            skipItem.remove();
+            updateScheduleSettings();
+        });
+
+        elements.skipDatesList.appendChild(skipItem);
+    }
+
+    /**
+     * Read the schedule settings from the form
+     * @returns {Object} { startDate, endDate, meetingDays, skipHolidays, skipDates }
+     */
+    function getScheduleSettings() {
+        const meetingDays = Array.from(elements.meetingDayCheckboxes)
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => parseInt(checkbox.value, 10));
+
+        const skipDates = [];
+        elements.skipDatesList.querySelectorAll('.skip-date-item').forEach(item => {
+            const skip = {
+                start: item.querySelector('.skip-date-start').value,
+                end: item.querySelector('.skip-date-end').value,
+                label: item.querySelector('.skip-date-label').value.trim()
+            };
+            if (skip.start) {
+                skipDates.push(skip);
+            }
+        });
+
+        return {
+            startDate: elements.termStart.value,
+            endDate: elements.termEnd.value,
+            meetingDays,
+            skipHolidays: elements.skipHolidays.checked,
+            skipDates
+        };
+    }
+
+    /**
+     * Save schedule settings, keeping the generated rows
+     */
+    function updateScheduleSettings() {
+        const schedule = SyllabusBuilder.getData().schedule;
+        SyllabusBuilder.updateField('schedule', { ...getScheduleSettings(), rows: schedule.rows });
+        saveDraft();
+    }
+
+    /**
+     * Handle generate schedule button click
+     */
+    function handleGenerateSchedule() {
+        const settings = getScheduleSettings();
+        const error = Schedule.validate(settings);
+
+        elements.scheduleError.textContent = error || '';
+        elements.scheduleError.classList.toggle('hidden', !error);
+        if (error) return;
+
+        const oldRows = SyllabusBuilder.getData().schedule.rows;
+        const rows = Schedule.generateMeetings(settings, oldRows);
+        const dropped = Schedule.findDroppedRows(oldRows, rows);
+
+        if (dropped.length > 0) {
+            const dates = dropped.map(row => Schedule.formatDate(row.date)).join(', ');
+            if (!confirm(`These dates are no longer class meetings and their topics, readings and due items will be removed: ${dates}. Continue?`)) {
+                return;
+            }
+        }
+
+        SyllabusBuilder.updateField('schedule', { ...settings, rows });
+        renderScheduleRows();
+        saveDraft();
+    }
+
+    /**
+     * Render the schedule table from the current rows
+     */
+    function renderScheduleRows() {
+        const rows = SyllabusBuilder.getData().schedule.rows;
+        elements.scheduleTbody.innerHTML = '';
+        elements.scheduleContainer.classList.toggle('hidden', rows.length === 0);
+
+        rows.forEach((meeting, index) => {
+            const row = document.createElement('tr');
+            const firstOfWeek = index === 0 || rows[index - 1].week !== meeting.week;
+
+            const weekCell = document.createElement('td');
+            weekCell.className = 'schedule-week';
+            weekCell.textContent = firstOfWeek ? `Week ${meeting.week}` : '';
+            row.appendChild(weekCell);
+
+            const dateCell = document.createElement('td');
+            dateCell.className = 'schedule-date';
+            dateCell.textContent = Schedule.formatDate(meeting.date);
+            row.appendChild(dateCell);
+
+            if (meeting.noClass) {
+                row.className = 'schedule-no-class';
+                const noteCell = document.createElement('td');
+                noteCell.colSpan = 3;
+                noteCell.textContent = `No class: ${meeting.noClass}`;
+                row.appendChild(noteCell);
+            } else {
+                [
+                    ['topic', 'Topic'],
+                    ['readings', 'Readings'],
+                    ['due', 'Due']
+                ].forEach(([field, label]) => {
+                    const cell = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.value = meeting[field];
+                    input.setAttribute('aria-label', `${label}, ${Schedule.formatDate(meeting.date)}`);
+                    input.addEventListener('input', () => {
+                        meeting[field] = input.value;
+                        saveDraft();
+                    });
+                    cell.appendChild(input);
+                    row.appendChild(cell);
+                });
+            }
+
+            elements.scheduleTbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Get the policy statements the syllabus includes. A new syllabus
+     * starts with every required statement in the library.
+     * @returns {Array} Entries as { id, title, text, edited, revised }
+     */
+    function getPolicyStatements() {
+        const entries = SyllabusBuilder.getData().policyStatements;
+        return entries === null ? StatementLibrary.getDefaultEntries() : entries;
+    }
+
+    /**
+     * Show the statement library as a checklist, once it has loaded
+     */
+    function renderStatementList() {
+        if (!StatementLibrary.isLoaded()) return;
+
+        const entries = StatementLibrary.refreshEntries(getPolicyStatements());
+        SyllabusBuilder.updateField('policyStatements', entries);
+
+        const version = StatementLibrary.getVersion();
+        elements.statementLibraryVersion.textContent = version ? `Statements from the ${version.label}.` : '';
+
+        // Statements retired from the library stay listed while the syllabus uses them
+        const retired = entries.filter(entry => !StatementLibrary.getStatement(entry.id));
+
+        elements.statementList.innerHTML = '';
+        for (const statement of [...StatementLibrary.getStatements(), ...retired]) {
+            const entry = entries.find(e => e.id === statement.id) || null;
+            elements.statementList.appendChild(createStatementItem(statement, entry));
+        }
+        applyPresetLocks();
+    }
+
+    /**
+     * Create a checklist item for a policy statement
+     * @param {Object} statement - Library statement, or a saved entry no longer in the library
+     * @param {Object|null} entry - The syllabus entry, if the statement is included
+     * @returns {HTMLElement} Statement item
+     */
+    function createStatementItem(statement, entry) {
+        const template = elements.statementTemplate.content.cloneNode(true);
+        const item = template.querySelector('.statement-item');
+        const checkbox = item.querySelector('.statement-include');
+        const textArea = item.querySelector('.statement-text');
+        const editor = item.querySelector('.statement-editor');
+        const toggleButton = item.querySelector('.toggle-statement');
+        const official = StatementLibrary.getStatement(statement.id);
+
+        item.dataset.statementId = statement.id;
+        item.querySelector('.statement-title').textContent = statement.title;
+        item.querySelector('.statement-required').classList.toggle('hidden', !(official && official.required));
+        checkbox.checked = entry !== null;
+        textArea.value = entry ? entry.text : statement.text;
+
+        if (!official) {
+            item.querySelector('.reset-statement').classList.add('hidden');
+        }
+
+        checkbox.addEventListener('change', updatePolicyStatements);
+        textArea.addEventListener('input', updatePolicyStatements);
+
+        toggleButton.addEventListener('click', () => {
+            const open = editor.classList.toggle('hidden') === false;
+            toggleButton.textContent = open ? 'Done' : 'Edit';
+        });
+
+        item.querySelector('.reset-statement').addEventListener('click', () => {
+            textArea.value = official.text;
+            updatePolicyStatements();
+        });
+
+        updateStatementItem(item, entry);
+        return item;
+    }
+
+    /**
+     * Update a statement item's badges and notices
+     * @param {HTMLElement} item - Statement item
+     * @param {Object|null} entry - The syllabus entry, if included
+     */
+    function updateStatementItem(item, entry) {
+        const notice = item.querySelector('.statement-notice');
+        let message = '';
+
+        if (!StatementLibrary.getStatement(item.dataset.statementId)) {
+            message = 'This statement is no longer in the library and is kept as you saved it.';
+        } else if (entry && StatementLibrary.isOutdated(entry)) {
+            message = 'The official text was revised after you edited this statement. Reset it to use the current wording.';
+        }
+
+        item.classList.toggle('excluded', entry === null);
+        item.querySelector('.statement-edited').classList.toggle('hidden', !(entry && entry.edited));
+        notice.textContent = message;
+        notice.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Read the statement checklist into the syllabus
+     */
+    function updatePolicyStatements() {
+        const previous = getPolicyStatements();
+        const entries = [];
+
+        elements.statementList.querySelectorAll('.statement-item').forEach(item => {
+            const id = item.dataset.statementId;
+            const text = item.querySelector('.statement-text').value;
+            const saved = previous.find(entry => entry.id === id);
+            const official = StatementLibrary.getStatement(id);
+            let entry = null;
+
+            if (item.querySelector('.statement-include').checked) {
+                if (!official) {
+                    entry = { ...saved, text };
+                } else if (text === official.text) {
+                    entry = StatementLibrary.createEntry(official);
+                } else {
+                    // Keep the revision an earlier edit was based on
+                    entry = {
+                        ...StatementLibrary.createEntry(official),
+                        text,
+                        edited: true,
+                        revised: saved && saved.edited ? saved.revised : official.revised
+                    };
+                }
+                entries.push(entry);
+            }
+
+            updateStatementItem(item, entry);
+        });
+
+        SyllabusBuilder.updateField('policyStatements', entries);
+        saveDraft();
+    }
+
     /**
      * Update syllabus preview
      */
     function updatePreview() {
         // Collect all data first
-        for (let i = 1; i <= 5; i++) {
+        for (let i = 1; i < FormWizard.getTotalSteps(); i++) {
             collectStepData(i);
         }
 
@@ -458,11 +1906,90 @@
         elements.syllabusPreview.innerHTML = html;
     }
 
+    /**
+     * Run the compliance checker and show its results on the review step
+     * @returns {Promise<Array>} Issues found
+     */
+    async function runComplianceCheck() {
+        await ComplianceChecker.load();
+        const issues = ComplianceChecker.run(SyllabusBuilder.getData());
+        renderComplianceResults(issues);
+        return issues;
+    }
+
+    /**
+     * Show compliance issues, each linked to the step that fixes it
+     * @param {Array} issues - Issues from ComplianceChecker.run()
+     */
+    function renderComplianceResults(issues) {
+        const container = elements.complianceResults;
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = issues.length - errorCount;
+
+        container.innerHTML = '';
+        container.classList.remove('hidden');
+        container.classList.toggle('has-errors', errorCount > 0);
+
+        const summary = document.createElement('p');
+        summary.className = 'compliance-summary';
+        if (issues.length === 0) {
+            summary.textContent = 'No problems found. This syllabus is ready to export.';
+        } else {
+            const counts = [];
+            if (errorCount > 0) counts.push(`${errorCount} ${errorCount === 1 ? 'error' : 'errors'}`);
+            if (warningCount > 0) counts.push(`${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`);
+            summary.textContent = `Before you export: ${counts.join(' and ')}.`;
+        }
+        container.appendChild(summary);
+
+        if (issues.length === 0) return;
+
+        const list = document.createElement('ul');
+        list.className = 'compliance-list';
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = `compliance-${issue.severity}`;
+
+            const message = document.createElement('span');
+            message.textContent = issue.message;
+            item.appendChild(message);
+
+            const step = FormWizard.findStep(issue.step);
+            if (step) {
+                const title = document.querySelector(`.form-step[data-step-name="${issue.step}"] h2`);
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'link-button';
+                link.textContent = `Fix in ${title ? title.textContent : `step ${step}`}`;
+                link.addEventListener('click', () => FormWizard.goToStep(step));
+                item.appendChild(link);
+            }
+
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    }
+
+    /**
+     * Check the syllabus before exporting and let the instructor stop if
+     * there are errors
+     * @returns {Promise<boolean>} True to go ahead with the export
+     */
+    async function confirmExport() {
+        const issues = await runComplianceCheck();
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        if (errorCount === 0) return true;
+
+        return confirm(`This syllabus has ${errorCount} ${errorCount === 1 ? 'problem' : 'problems'} to fix (listed above the preview). Export anyway?`);
+    }
+
     /**
      * Handle copy markdown button click
      */
     async function handleCopyMarkdown() {
         updatePreview();
+        if (!(await confirmExport())) return;
+
         const markdown = SyllabusBuilder.generateMarkdown();
         const success = await Export.copyMarkdown(markdown);
 
@@ -478,6 +2005,8 @@
      */
     async function handleDownloadWord() {
         updatePreview();
+        if (!(await confirmExport())) return;
+
         const data = SyllabusBuilder.getData();
 
         try {
@@ -490,54 +2019,101 @@
     }
 
     /**
-     * Handle clear button click - reset form and start fresh
+     * Handle clear button click - start a blank syllabus, keeping the saved one
      */
     function handleClear() {
-        if (!confirm('Are you sure you want to clear all data and start over?')) {
+        if (!confirm('Clear the form and start a new syllabus? The current syllabus stays saved in My Syllabi.')) {
             return;
         }
 
-        // Clear localStorage
-        localStorage.removeItem('syllabusDraft');
-
-        // Reset SyllabusBuilder
-        SyllabusBuilder.reset();
-
-        // Reset form fields
-        document.getElementById('course-search').value = '';
-        elements.courseDetails.classList.add('hidden');
-        elements.coursePrefix.value = '';
-        elements.courseNumber.value = '';
-        elements.courseTitle.value = '';
-        elements.courseCredits.value = '';
-        elements.courseDescription.value = '';
-        elements.genedBadges.innerHTML = '';
-        elements.objectivesList.innerHTML = '';
-        elements.genedOutcomesContainer.innerHTML = '';
-
-        // Clear grading
-        document.querySelector('input[name="grade-scale"][value="standard"]').checked = true;
-        elements.customScale.classList.add('hidden');
-        elements.customScaleInput.value = '';
-        elements.assignmentTbody.innerHTML = '';
-        addAssignmentRow();
-        elements.attendancePolicy.value = '';
-
-        // Clear materials
-        elements.materialsList.innerHTML = '';
-        elements.additionalMaterials.value = '';
-
-        // Reset statements
-        elements.diversityStatement.value = 'The course engages diverse scholarly perspectives to develop critical thinking, analysis, and debate, and inclusion of a reading does not imply endorsement.';
-        SyllabusBuilder.updateField('diversityStatement', elements.diversityStatement.value);
-        elements.customStatements.value = '';
-
-        // Go back to step 1
-        FormWizard.goToStep(1);
+        startNewSyllabus();
 
         showToast('Form cleared', 'success');
     }
 
+    /**
+     * Reset the data model and every form field to a blank syllabus
+     */
+    function resetForm() {
+        restoring = true;
+        try {
+            // Reset SyllabusBuilder
+            SyllabusBuilder.reset();
+
+            // Reset form fields
+            document.getElementById('course-search').value = '';
+            elements.courseDetails.classList.add('hidden');
+            elements.coursePrefix.value = '';
+            elements.courseNumber.value = '';
+            elements.courseTitle.value = '';
+            elements.courseCredits.value = '';
+            elements.sectionCredits.value = '';
+            elements.sectionCreditsGroup.classList.add('hidden');
+            elements.courseDescription.value = '';
+            elements.genedBadges.innerHTML = '';
+            elements.editionChanges.classList.add('hidden');
+            elements.courseGenedsInput.value = '';
+            CourseLookup.setFindMode('search');
+            setManualEntry(false);
+            elements.objectivesList.innerHTML = '';
+            renderObjectiveAnalysis();
+            elements.genedOutcomesContainer.innerHTML = '';
+
+            // Clear section & instructors
+            elements.logisticsTerm.value = '';
+            elements.logisticsSection.value = '';
+            elements.logisticsMeetingTimes.value = '';
+            elements.logisticsClassroom.value = '';
+            elements.peopleList.innerHTML = '';
+            addPersonRow();
+
+            // Clear grading
+            document.querySelector('input[name="grade-scale"][value="standard"]').checked = true;
+            elements.customScale.classList.add('hidden');
+            setCustomScale([]);
+            document.querySelector('input[name="grading-mode"][value="percent"]').checked = true;
+            elements.pointsTotal.value = '';
+            elements.categoriesList.innerHTML = '';
+            addCategoryRow();
+            handleGradingModeChange();
+            elements.attendancePolicy.value = '';
+
+            // Clear materials
+            elements.citationStyle.value = 'apa';
+            elements.materialsList.innerHTML = '';
+            elements.referenceImportText.value = '';
+            elements.referenceImportFile.value = '';
+            elements.additionalMaterials.value = '';
+
+            // Clear schedule
+            elements.termStart.value = '';
+            elements.termEnd.value = '';
+            elements.meetingDayCheckboxes.forEach(checkbox => {
+                checkbox.checked = false;
+            });
+            elements.skipHolidays.checked = true;
+            elements.skipDatesList.innerHTML = '';
+            elements.scheduleError.classList.add('hidden');
+            renderScheduleRows();
+
+            // Reset statements
+            elements.diversityStatement.value = 'The course engages diverse scholarly perspectives to develop critical thinking, analysis, and debate, and inclusion of a reading does not imply endorsement.';
+            SyllabusBuilder.updateField('diversityStatement', elements.diversityStatement.value);
+            elements.customStatements.value = '';
+            renderStatementList();
+            elements.presetFile.value = '';
+            applyPresetLocks();
+            elements.includeObjectiveAnalysis.checked = false;
+            elements.includeCompliance.checked = false;
+            elements.compliancePreview.classList.add('hidden');
+
+            // Go back to step 1
+            FormWizard.goToStep(1);
+        } finally {
+            restoring = false;
+        }
+    }
+
     /**
      * Show a toast notification
      * @param {string} message - Message to display
@@ -567,63 +2143,485 @@
     }
 
     /**
-     * Save draft to localStorage
+     * Save the syllabus being edited to the library, creating its entry on
+     * the first save
      */
     function saveDraft() {
+        if (restoring) return;
+
+        // Snapshot now; the model keeps changing while the save is queued
+        const data = JSON.parse(JSON.stringify(SyllabusBuilder.getData()));
+        const id = activeEntryId;
+        const session = librarySession;
+
+        saveQueue = saveQueue.then(async () => {
+            const entryId = id || (session === librarySession ? activeEntryId : null);
+            const entry = entryId
+                ? await SyllabusLibrary.save(entryId, data)
+                : await SyllabusLibrary.create(data);
+
+            if (session === librarySession) {
+                activeEntryId = entry.id;
+                updateLibraryStatus(entry);
+            }
+        }).catch(error => {
+            console.error('Failed to save draft:', error);
+        });
+    }
+
+    /**
+     * Show which saved syllabus is being edited
+     * @param {Object|null} entry - Library entry, or null for an unsaved syllabus
+     */
+    function updateLibraryStatus(entry) {
+        elements.libraryStatus.textContent = entry ? `Saved as ${entry.name}` : 'Not saved yet';
+    }
+
+    /**
+     * Move any old draft into the library, open the most recently edited
+     * syllabus and show the picker so another can be chosen or started
+     */
+    async function openLibrary() {
         try {
-            const data = SyllabusBuilder.getData();
-            localStorage.setItem('syllabus-draft', JSON.stringify(data));
+            await SyllabusLibrary.migrateLegacyDraft();
+            const entries = await SyllabusLibrary.list();
+            const repairs = entries.length > 0 ? openEntry(entries[0]) : null;
+            if (!repairs) updateLibraryStatus(null);
+
+            await showLibrary();
+            if (repairs && repairs.length > 0) showRepairs(entries[0], repairs);
         } catch (error) {
-            console.error('Failed to save draft:', error);
+            console.error('Failed to open saved syllabi:', error);
+            elements.libraryStatus.textContent = 'Saving is unavailable in this browser';
+            showToast('Saved syllabi could not be opened, so changes will not be saved', 'error');
+        }
+    }
+
+    /**
+     * Open a saved syllabus in the form, upgrading data saved by an older
+     * version of the generator
+     * @param {Object} entry - Library entry
+     * @returns {Array|null} Messages about saved fields that were not valid and
+     *   were left out (see showRepairs), or null if it could not be opened
+     */
+    function openEntry(entry) {
+        const { data, errors, warnings } = ProjectFile.upgrade(entry.data, entry.schemaVersion || 0);
+        if (!data) {
+            console.error(`Failed to open ${entry.name}:`, errors);
+            showToast(`${entry.name} could not be opened. ${errors[0]}`, 'error');
+            return null;
+        }
+
+        librarySession++;
+        resetForm();
+        activeEntryId = entry.id;
+        hydrate(data);
+        updateLibraryStatus(entry);
+        return warnings;
+    }
+
+    /**
+     * List the saved fields left out when a syllabus was opened, in the picker
+     * @param {Object} entry - Library entry
+     * @param {Array} repairs - Messages from openEntry
+     */
+    function showRepairs(entry, repairs) {
+        showLibraryMessages(`Opened ${entry.name}. Some saved fields were not valid and were left out:`, repairs, false);
+    }
+
+    /**
+     * Show the saved syllabi picker
+     */
+    async function showLibrary() {
+        elements.libraryMessages.classList.add('hidden');
+        elements.rolloverForm.classList.add('hidden');
+        await renderLibraryList();
+        elements.libraryPicker.classList.remove('hidden');
+        elements.libraryClose.focus();
+    }
+
+    /**
+     * Hide the saved syllabi picker
+     */
+    function hideLibrary() {
+        elements.libraryPicker.classList.add('hidden');
+        elements.libraryBtn.focus();
+    }
+
+    /**
+     * Render the saved syllabi, most recently edited first
+     */
+    async function renderLibraryList() {
+        let entries = [];
+        try {
+            // Let pending saves land so the list is current
+            await saveQueue;
+            entries = await SyllabusLibrary.list();
+        } catch (error) {
+            console.error('Failed to list saved syllabi:', error);
+            showToast('Saved syllabi could not be loaded', 'error');
+        }
+
+        elements.libraryList.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No saved syllabi yet. Your work is saved here as you type.';
+            elements.libraryList.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const clone = elements.libraryEntryTemplate.content.cloneNode(true);
+            const item = clone.querySelector('.library-entry');
+            item.dataset.id = entry.id;
+            item.querySelector('.library-entry-name').textContent = entry.name;
+            item.querySelector('.library-entry-updated').textContent =
+                `Last edited ${new Date(entry.updatedAt).toLocaleString()}`;
+            if (entry.id === activeEntryId) {
+                item.classList.add('current');
+                item.querySelector('.library-entry-current').classList.remove('hidden');
+            }
+            elements.libraryList.appendChild(clone);
+        });
+    }
+
+    /**
+     * Handle the open, rename, duplicate and delete buttons in the picker
+     * @param {Event} event - Click event
+     */
+    async function handleLibraryAction(event) {
+        const button = event.target.closest('button');
+        const item = event.target.closest('.library-entry');
+        if (!button || !item) return;
+
+        const id = item.dataset.id;
+        try {
+            await saveQueue;
+            const entry = await SyllabusLibrary.get(id);
+            if (!entry) {
+                showToast('That syllabus no longer exists', 'error');
+                await renderLibraryList();
+                return;
+            }
+
+            if (button.classList.contains('open-syllabus')) {
+                const repairs = openEntry(entry);
+                if (!repairs) return;
+
+                if (repairs.length > 0) {
+                    // Keep the picker open so the repairs can be read
+                    await renderLibraryList();
+                    showRepairs(entry, repairs);
+                    return;
+                }
+                hideLibrary();
+                showToast(`Opened ${entry.name}`, 'success');
+            } else if (button.classList.contains('rename-syllabus')) {
+                const name = prompt('Name this syllabus (leave blank to name it after the course and term):', entry.name);
+                if (name === null) return;
+                const renamed = await SyllabusLibrary.rename(id, name);
+                if (id === activeEntryId) updateLibraryStatus(renamed);
+                await renderLibraryList();
+            } else if (button.classList.contains('duplicate-syllabus')) {
+                const copy = await SyllabusLibrary.duplicate(id);
+                await renderLibraryList();
+                showToast(`Saved a copy as ${copy.name}`, 'success');
+            } else if (button.classList.contains('rollover-syllabus')) {
+                showRolloverForm(entry);
+            } else if (button.classList.contains('download-syllabus')) {
+                const { data, errors } = ProjectFile.upgrade(entry.data, entry.schemaVersion || 0);
+                if (!data) {
+                    showToast(`${entry.name} could not be downloaded. ${errors[0]}`, 'error');
+                    return;
+                }
+                Export.downloadProjectFile(data, entry.named ? entry.name : '');
+                showToast('Project file downloaded!', 'success');
+            } else if (button.classList.contains('delete-syllabus')) {
+                if (!confirm(`Delete ${entry.name}? This cannot be undone.`)) return;
+                await SyllabusLibrary.remove(id);
+                if (id === activeEntryId) startNewSyllabus();
+                await renderLibraryList();
+                showToast(`Deleted ${entry.name}`, 'success');
+            }
+        } catch (error) {
+            console.error('Syllabus library error:', error);
+            showToast('The saved syllabi could not be updated', 'error');
+        }
+    }
+
+    /**
+     * Ask for the new term of a syllabus being copied forward
+     * @param {Object} entry - Library entry
+     */
+    function showRolloverForm(entry) {
+        elements.libraryMessages.classList.add('hidden');
+        elements.rolloverForm.dataset.id = entry.id;
+        elements.rolloverForm.querySelector('.rollover-title').textContent = `Copy ${entry.name} to a new term`;
+        elements.rolloverTerm.value = '';
+        elements.rolloverStart.value = '';
+        elements.rolloverEnd.value = '';
+        elements.rolloverForm.classList.remove('hidden');
+        elements.rolloverTerm.focus();
+    }
+
+    /**
+     * Copy a saved syllabus to the new term and open the copy
+     */
+    async function handleRollover() {
+        const options = {
+            term: elements.rolloverTerm.value,
+            startDate: elements.rolloverStart.value,
+            endDate: elements.rolloverEnd.value
+        };
+
+        try {
+            await saveQueue;
+            const entry = await SyllabusLibrary.get(elements.rolloverForm.dataset.id);
+            if (!entry) {
+                showToast('That syllabus no longer exists', 'error');
+                return;
+            }
+
+            const upgraded = ProjectFile.upgrade(entry.data, entry.schemaVersion || 0);
+            if (!upgraded.data) {
+                showToast(`${entry.name} could not be copied. ${upgraded.errors[0]}`, 'error');
+                return;
+            }
+
+            // Check the term and dates before loading the catalog
+            const error = TermRollover.validate(upgraded.data, options);
+            if (error) {
+                showToast(error, 'error');
+                return;
+            }
+
+            const current = await loadCurrentCourse(upgraded.data.course);
+            const { data, notes } = TermRollover.rollForward(upgraded.data, options, current);
+            const copy = await SyllabusLibrary.create(data);
+            if (!openEntry(copy)) return;
+
+            elements.rolloverForm.classList.add('hidden');
+            await renderLibraryList();
+            showLibraryMessages(`Created ${copy.name}. What changed:`, notes, false);
+        } catch (error) {
+            console.error('Failed to copy syllabus to a new term:', error);
+            showToast('The syllabus could not be copied to a new term', 'error');
         }
     }
 
     /**
-     * Load draft from localStorage
+     * Load a course's record from the current catalog edition
+     * @param {Object|null} course - Course from the syllabus
+     * @returns {Promise<Object|null>} { edition, course } (course is null if it is
+     *   not listed), or null for a course entered by hand or a catalog that did not load
      */
-    function loadDraft() {
+    async function loadCurrentCourse(course) {
+        if (!course || course.manual || !course.key) return null;
+
         try {
-            const saved = localStorage.getItem('syllabus-draft');
-            if (!saved) return;
+            const edition = await CourseLookup.getCurrentEdition();
+            if (!edition) return null;
 
-            const data = JSON.parse(saved);
+            await CourseLookup.setEdition(edition.id);
+            const current = await CourseLookup.loadCourse(course.key);
+            if (!current) return { edition, course: null };
+
+            return {
+                edition,
+                course: { ...current, genedDetails: CourseLookup.resolveGeneds(current.geneds).details }
+            };
+        } catch (error) {
+            console.error('Error loading the current catalog:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Open a project file as a new saved syllabus
+     */
+    async function handleProjectFile() {
+        const file = elements.projectFileInput.files[0];
+        if (!file) return;
+
+        const { name, data, errors, warnings } = ProjectFile.parse(await file.text());
+        elements.projectFileInput.value = '';
+
+        if (!data) {
+            showLibraryMessages(`${file.name} could not be opened.`, errors, true);
+            return;
+        }
+
+        try {
+            await saveQueue;
+            const entry = await SyllabusLibrary.create(data, name);
+            if (!openEntry(entry)) return;
+
+            if (warnings.length === 0) {
+                hideLibrary();
+                showToast(`Opened ${entry.name}`, 'success');
+                return;
+            }
+
+            // Keep the picker open so the repairs can be read
+            await renderLibraryList();
+            showLibraryMessages(
+                `Opened ${entry.name}. Some parts of the file were not valid and were left out:`,
+                warnings,
+                false
+            );
+        } catch (error) {
+            console.error('Failed to open project file:', error);
+            showToast('The project file could not be saved in this browser', 'error');
+        }
+    }
+
+    /**
+     * Show the result of an action in the picker
+     * @param {string} summary - Summary line
+     * @param {Array} details - Error, warning or change messages
+     * @param {boolean} isError - True if the action failed
+     */
+    function showLibraryMessages(summary, details, isError) {
+        const messages = elements.libraryMessages;
+        messages.querySelector('.library-messages-summary').textContent = summary;
+
+        const list = messages.querySelector('.library-messages-details');
+        list.innerHTML = '';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+
+        messages.classList.toggle('error', isError);
+        messages.classList.remove('hidden');
+    }
+
+    /**
+     * Start a blank syllabus; it is saved as a new entry on the first edit
+     */
+    function startNewSyllabus() {
+        librarySession++;
+        resetForm();
+        activeEntryId = null;
+        updateLibraryStatus(null);
+    }
+
+    /**
+     * Handle the New Syllabus button in the picker
+     */
+    function handleNewSyllabus() {
+        startNewSyllabus();
+        hideLibrary();
+    }
+
+    /**
+     * Restore a saved syllabus into the form. The form must be blank
+     * (see resetForm); fields that change while restoring are not saved back.
+     * @param {Object} data - Syllabus data at the current schema version (see ProjectFile.upgrade)
+     */
+    function hydrate(data) {
+        restoring = true;
+        try {
+            // Restore the catalog edition the draft was built from
+            if (data.catalogEdition) {
+                SyllabusBuilder.updateField('catalogEdition', data.catalogEdition);
+                CourseLookup.setEdition(data.catalogEdition.id).then(() => {
+                    if (data.course && !data.course.manual) showEditionChanges(data.course.key);
+                });
+            }
+
+            // Restore the preset's locks (applied at the end, once the fields are filled in)
+            if (data.preset) {
+                SyllabusBuilder.updateField('preset', data.preset);
+            }
 
             // Restore course data
             if (data.course) {
+                data.course.credits = Credits.parse(data.course.credits);
+                if (data.course.credits !== null && !Credits.isPlausible(data.course.credits)) {
+                    data.course.creditsSuspect = true;
+                }
                 SyllabusBuilder.setCourse(data.course);
                 elements.courseDetails.classList.remove('hidden');
                 elements.coursePrefix.value = data.course.prefix || '';
                 elements.courseNumber.value = data.course.number || '';
                 elements.courseTitle.value = data.course.title || '';
-                elements.courseCredits.value = data.course.credits || '';
+                elements.courseCredits.value = Credits.format(data.course.credits);
                 elements.courseDescription.value = data.course.description || '';
+                updateSectionCreditsField(data.course);
 
                 if (data.course.geneds) {
                     elements.genedBadges.innerHTML = data.course.geneds.map(code =>
-                        `<span class="gened-badge">${code}</span>`
+                        `<span class="gened-badge">${HtmlSafe.escape(code)}</span>`
                     ).join('');
                 }
 
+                if (data.course.manual) {
+                    elements.courseGenedsInput.value = (data.course.geneds || []).join(', ');
+                    CourseLookup.setFindMode('manual');
+                    setManualEntry(true);
+                }
+
                 if (data.genedOutcomes) {
                     populateGenedOutcomes(data.genedOutcomes);
+
+                    // Uncheck the gen eds the instructor did not confirm
+                    if (data.confirmedGeneds) {
+                        const confirmed = data.confirmedGeneds.map(gened => gened.code);
+                        elements.genedOutcomesContainer.querySelectorAll('.gened-confirm').forEach(checkbox => {
+                            checkbox.checked = confirmed.includes(checkbox.dataset.code);
+                        });
+                        updateConfirmedGeneds();
+                    }
                 }
 
                 // Update search input
                 const searchInput = document.getElementById('course-search');
-                if (searchInput) {
+                if (searchInput && !data.course.manual) {
                     searchInput.value = `${data.course.prefix} ${data.course.number}: ${data.course.title}`;
                 }
             }
 
+            // Restore section & instructors
+            if (data.logistics) {
+                const logistics = data.logistics;
+                elements.logisticsTerm.value = logistics.term || '';
+                elements.logisticsSection.value = logistics.section || '';
+                elements.logisticsMeetingTimes.value = logistics.meetingTimes || '';
+                elements.logisticsClassroom.value = logistics.classroom || '';
+
+                if (logistics.people && logistics.people.length > 0) {
+                    // Clear default row
+                    elements.peopleList.innerHTML = '';
+                    logistics.people.forEach(person => {
+                        const personItem = addPersonRow(person.role === 'ta' ? 'ta' : 'instructor');
+                        personItem.querySelector('.person-name').value = person.name || '';
+                        personItem.querySelector('.person-email').value = person.email || '';
+                        personItem.querySelector('.person-office').value = person.office || '';
+
+                        (person.officeHours || []).forEach(slot => {
+                            const slotItem = addOfficeHoursRow(personItem);
+                            if (slot.day) slotItem.querySelector('.office-hours-day').value = slot.day;
+                            slotItem.querySelector('.office-hours-start').value = slot.start || '';
+                            slotItem.querySelector('.office-hours-end').value = slot.end || '';
+                            slotItem.querySelector('.office-hours-location').value = slot.location || '';
+                        });
+                    });
+                }
+                updateLogistics();
+            }
+
             // Restore form fields
-            if (data.courseObjectives && Array.isArray(data.courseObjectives) && data.courseObjectives.length > 0) {
+            if (data.courseObjectives && data.courseObjectives.length > 0) {
                 data.courseObjectives.forEach(objective => {
-                    addObjectiveRow();
-                    const items = elements.objectivesList.querySelectorAll('.objective-item');
-                    const lastItem = items[items.length - 1];
-                    lastItem.querySelector('.objective-input').value = objective;
+                    const item = addObjectiveRow(objective.id);
+                    item.querySelector('.objective-input').value = objective.text;
+                    if (objective.required) item.dataset.required = 'true';
                 });
                 SyllabusBuilder.updateField('courseObjectives', data.courseObjectives);
+                renderObjectiveAnalysis();
             }
 
             if (data.gradeScale) {
@@ -637,40 +2635,63 @@
                 SyllabusBuilder.updateField('gradeScale', data.gradeScale);
             }
 
-            if (data.customScaleText) {
-                elements.customScaleInput.value = data.customScaleText;
-                SyllabusBuilder.updateField('customScaleText', data.customScaleText);
+            if (data.customScale && data.customScale.length > 0) {
+                setCustomScale(data.customScale);
+            } else if (data.gradeScale === 'plusminus') {
+                setCustomScale(GradeScale.copy(GradeScale.STANDARD));
+            }
+
+            const categories = data.gradeCategories || [];
+
+            if (data.gradingMode === 'points') {
+                document.querySelector('input[name="grading-mode"][value="points"]').checked = true;
+            }
+            if (typeof data.pointsTotal === 'number') {
+                elements.pointsTotal.value = data.pointsTotal;
             }
 
-            if (data.assignments && data.assignments.length > 0) {
+            if (categories.length > 0) {
                 // Clear default row
-                elements.assignmentTbody.innerHTML = '';
-                // Add saved assignments
-                data.assignments.forEach(assignment => {
-                    addAssignmentRow();
-                    const rows = elements.assignmentTbody.querySelectorAll('tr');
-                    const lastRow = rows[rows.length - 1];
-                    lastRow.querySelector('.assignment-name').value = assignment.name || '';
-                    lastRow.querySelector('.percentage-input').value = assignment.percentage || '';
+                elements.categoriesList.innerHTML = '';
+                const restored = categories.map(category => ({
+                    ...category,
+                    id: category.id || createId('asg'),
+                    objectives: category.objectives || [],
+                    geneds: category.geneds || []
+                }));
+                restored.forEach(category => {
+                    const categoryItem = addCategoryRow(category.id);
+                    categoryItem.querySelector('.category-name').value = category.name || '';
+                    categoryItem.querySelector('.category-weight').value = typeof category.weight === 'number' ? category.weight : '';
+                    categoryItem.querySelector('.category-drop').value = category.dropLowest || '';
+                    categoryItem.querySelector('.category-extra-credit').checked = !!category.extraCredit;
+
+                    (category.items || []).forEach(item => {
+                        const row = addItemRow(categoryItem);
+                        row.querySelector('.item-name').value = item.name || '';
+                        row.querySelector('.item-count').value = typeof item.count === 'number' ? item.count : '';
+                        row.querySelector('.item-points').value = typeof item.points === 'number' ? item.points : '';
+                    });
                 });
-                updateAssignments();
+                SyllabusBuilder.updateField('gradeCategories', restored);
             }
+            handleGradingModeChange();
 
             if (data.attendancePolicy) {
                 elements.attendancePolicy.value = data.attendancePolicy;
                 SyllabusBuilder.updateField('attendancePolicy', data.attendancePolicy);
             }
 
+            if (data.citationStyle) {
+                elements.citationStyle.value = data.citationStyle;
+                SyllabusBuilder.updateField('citationStyle', data.citationStyle);
+            }
+
             if (data.materials && data.materials.length > 0) {
                 data.materials.forEach(material => {
                     addMaterialRow();
                     const items = elements.materialsList.querySelectorAll('.material-item');
-                    const lastItem = items[items.length - 1];
-                    lastItem.querySelector('.material-title').value = material.title || '';
-                    lastItem.querySelector('.material-author').value = material.author || '';
-                    lastItem.querySelector('.material-publisher').value = material.publisher || '';
-                    lastItem.querySelector('.material-edition').value = material.edition || '';
-                    lastItem.querySelector('.material-isbn').value = material.isbn || '';
+                    fillMaterialRow(items[items.length - 1], material);
                 });
                 SyllabusBuilder.updateField('materials', data.materials);
             }
@@ -680,18 +2701,61 @@
                 SyllabusBuilder.updateField('additionalMaterials', data.additionalMaterials);
             }
 
+            if (data.schedule) {
+                const schedule = data.schedule;
+                elements.termStart.value = schedule.startDate || '';
+                elements.termEnd.value = schedule.endDate || '';
+                elements.meetingDayCheckboxes.forEach(checkbox => {
+                    checkbox.checked = (schedule.meetingDays || []).includes(parseInt(checkbox.value, 10));
+                });
+                elements.skipHolidays.checked = schedule.skipHolidays !== false;
+                (schedule.skipDates || []).forEach(skip => {
+                    addSkipDateRow();
+                    const items = elements.skipDatesList.querySelectorAll('.skip-date-item');
+                    const lastItem = items[items.length - 1];
+                    lastItem.querySelector('.skip-date-start').value = skip.start || '';
+                    lastItem.querySelector('.skip-date-end').value = skip.end || '';
+                    lastItem.querySelector('.skip-date-label').value = skip.label || '';
+                });
+                SyllabusBuilder.updateField('schedule', {
+                    ...getScheduleSettings(),
+                    rows: Array.isArray(schedule.rows) ? schedule.rows : []
+                });
+                renderScheduleRows();
+            }
+
             if (data.diversityStatement !== undefined) {
                 elements.diversityStatement.value = data.diversityStatement;
                 SyllabusBuilder.updateField('diversityStatement', data.diversityStatement);
             }
 
+            if (Array.isArray(data.policyStatements)) {
+                SyllabusBuilder.updateField('policyStatements', data.policyStatements);
+                renderStatementList();
+            }
+
             if (data.customStatements) {
                 elements.customStatements.value = data.customStatements;
                 SyllabusBuilder.updateField('customStatements', data.customStatements);
             }
 
+            if (data.includeObjectiveAnalysis) {
+                elements.includeObjectiveAnalysis.checked = true;
+                SyllabusBuilder.updateField('includeObjectiveAnalysis', true);
+            }
+
+            if (data.includeCompliance) {
+                elements.includeCompliance.checked = true;
+                SyllabusBuilder.updateField('includeCompliance', true);
+                elements.compliancePreview.classList.remove('hidden');
+            }
+
+            applyPresetLocks();
+
         } catch (error) {
             console.error('Failed to load draft:', error);
+        } finally {
+            restoring = false;
         }
     }
 
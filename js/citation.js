@@ -0,0 +1,306 @@
+/**
+ * Citation Module
+ * Formats course materials as APA, MLA or Chicago citations.
+ *
+ * A material is { type, title, author, year, edition, publisher, container, url }
+ * where type is 'book', 'article', 'chapter' or 'website' and container is the
+ * journal, book or website the item appears in. Citations are returned as runs
+ * ({ text, italic }) so every output format can italicize titles.
+ */
+
+const Citation = (function() {
+    const STYLES = [
+        { id: 'apa', name: 'APA (7th edition)' },
+        { id: 'mla', name: 'MLA (9th edition)' },
+        { id: 'chicago', name: 'Chicago (notes and bibliography)' }
+    ];
+
+    const TYPES = [
+        { id: 'book', name: 'Book', container: '' },
+        { id: 'article', name: 'Journal article', container: 'Journal' },
+        { id: 'chapter', name: 'Book chapter', container: 'Book title' },
+        { id: 'website', name: 'Website', container: 'Website name' }
+    ];
+
+    // Words that mark an author as an organization rather than a person
+    const ORGANIZATION_PATTERN = /\b(?:association|bureau|center|centre|college|committee|council|department|foundation|institute|office|organization|school|society|university)\b/i;
+
+    /**
+     * Split an author field into names. Organizations are recognized by
+     * words like "Bureau" or "University", or can be wrapped in braces.
+     * @param {string} text - e.g. "Jane Smith and John Doe" or "Smith, Jane; Doe, John"
+     * @returns {Array} Names as { first, last }; organizations have only last
+     */
+    function parseAuthors(text) {
+        const value = (text || '').trim();
+        if (!value) return [];
+
+        const parts = value.includes(';')
+            ? value.split(';')
+            : value.split(/\s*,?\s+(?:and|&)\s+|\s*&\s*/);
+
+        return parts.map(part => part.trim()).filter(Boolean).map(part => {
+            const braced = /^\{(.+)\}$/.exec(part);
+            if (braced) return { last: braced[1].trim(), first: '' };
+            if (ORGANIZATION_PATTERN.test(part)) return { last: part, first: '' };
+
+            const comma = part.indexOf(',');
+            if (comma !== -1) {
+                return { last: part.slice(0, comma).trim(), first: part.slice(comma + 1).trim() };
+            }
+            const words = part.split(/\s+/);
+            if (words.length === 1) return { last: part, first: '' };
+            return { last: words[words.length - 1], first: words.slice(0, -1).join(' ') };
+        });
+    }
+
+    /**
+     * Abbreviate given names to initials
+     * @param {string} first - Given names, e.g. "Mary Ann"
+     * @returns {string} e.g. "M. A."
+     */
+    function initials(first) {
+        return first.split(/[\s.]+/).filter(Boolean).map(name =>
+            name.split('-').map(piece => `${piece[0].toUpperCase()}.`).join('-')).join(' ');
+    }
+
+    /**
+     * Join names as "A, B, and C" (or "A, B, & C")
+     * @param {Array} names - Formatted names
+     * @param {string} conjunction - 'and' or '&'
+     * @returns {string} Joined names
+     */
+    function joinNames(names, conjunction) {
+        if (names.length <= 1) return names.join('');
+        if (names.length === 2 && conjunction === 'and') return `${names[0]} and ${names[1]}`;
+        return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+    }
+
+    /**
+     * Format the author list for a style
+     * @param {Array} authors - Names from parseAuthors()
+     * @param {string} style - Style id
+     * @returns {string} Author list without closing punctuation
+     */
+    function formatAuthors(authors, style) {
+        if (authors.length === 0) return '';
+
+        if (style === 'apa') {
+            const names = authors.map(a => a.first ? `${a.last}, ${initials(a.first)}` : a.last);
+            if (names.length > 20) {
+                return `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+            }
+            return names.length === 2 ? `${names[0]}, & ${names[1]}` : joinNames(names, '&');
+        }
+
+        // MLA and Chicago invert only the first author's name
+        const names = authors.map((a, index) => {
+            if (!a.first) return a.last;
+            return index === 0 ? `${a.last}, ${a.first}` : `${a.first} ${a.last}`;
+        });
+        if (style === 'mla' && names.length > 2) return `${names[0]}, et al`;
+        if (style === 'chicago' && names.length > 10) return `${names.slice(0, 7).join(', ')}, et al`;
+        return joinNames(names, 'and');
+    }
+
+    /**
+     * Format an edition, e.g. "3" or "3rd edition" as "3rd ed."
+     * @param {string} edition - Edition as typed
+     * @returns {string} Edition, or empty
+     */
+    function formatEdition(edition) {
+        let value = (edition || '').trim().replace(/\s*(?:edition|edn?\.?)$/i, '');
+        if (!value) return '';
+
+        if (/^\d+$/.test(value)) {
+            const number = parseInt(value, 10);
+            const suffix = number % 100 >= 11 && number % 100 <= 13 ? 'th'
+                : ['th', 'st', 'nd', 'rd'][number % 10] || 'th';
+            value = `${number}${suffix}`;
+        }
+        return `${value} ed.`;
+    }
+
+    /**
+     * Turn a DOI into a link; other URLs are kept as typed
+     * @param {string} url - URL or DOI
+     * @returns {string} Link, or empty
+     */
+    function formatLink(url) {
+        const value = (url || '').trim();
+        const doi = /^(?:doi:\s*)?(10\.\d{4,9}\/\S+)$/i.exec(value);
+        return doi ? `https://doi.org/${doi[1]}` : value;
+    }
+
+    /**
+     * End text with a period unless it already ends in punctuation
+     * @param {string} text - Text
+     * @returns {string} Text ending in . ? or !
+     */
+    function withPeriod(text) {
+        return /[.?!]$/.test(text) ? text : `${text}.`;
+    }
+
+    /**
+     * Build a citation from parts, each plain text or { text, italic }
+     * @param {Array} parts - Parts in order; empty parts are skipped
+     * @returns {Array} Runs as { text, italic }
+     */
+    function toRuns(parts) {
+        const runs = [];
+        for (const part of parts) {
+            const run = typeof part === 'string' ? { text: part } : part;
+            if (!run.text) continue;
+
+            const last = runs[runs.length - 1];
+            if (last && !!last.italic === !!run.italic) {
+                last.text += run.text;
+            } else {
+                runs.push({ text: run.text, italic: !!run.italic });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Format an APA citation
+     * @param {Object} m - Material
+     * @returns {Array} Parts
+     */
+    function formatAPA(m) {
+        const authors = formatAuthors(parseAuthors(m.author), 'apa');
+        const date = `(${m.year || 'n.d.'}).`;
+        const edition = formatEdition(m.edition);
+        const link = formatLink(m.url);
+        const parts = [];
+
+        const titleParts = m.type === 'book' || m.type === 'website'
+            ? [{ text: m.title, italic: true }, edition && m.type === 'book' ? ` (${edition})` : '', '.']
+            : [withPeriod(m.title)];
+
+        // Without an author, the title moves to the author position
+        if (authors) {
+            parts.push(withPeriod(authors), ` ${date} `, ...titleParts);
+        } else {
+            parts.push(...titleParts, ` ${date}`);
+        }
+
+        if (m.type === 'article' && m.container) {
+            parts.push(' ', { text: m.container, italic: true }, '.');
+        } else if (m.type === 'chapter' && m.container) {
+            parts.push(' In ', { text: m.container, italic: true }, edition ? ` (${edition})` : '', '.');
+        } else if (m.type === 'website' && m.container) {
+            parts.push(` ${withPeriod(m.container)}`);
+        }
+
+        if (m.publisher && (m.type === 'book' || m.type === 'chapter')) {
+            parts.push(` ${withPeriod(m.publisher)}`);
+        }
+        if (link) parts.push(` ${link}`);
+        return parts;
+    }
+
+    /**
+     * Format an MLA citation
+     * @param {Object} m - Material
+     * @returns {Array} Parts
+     */
+    function formatMLA(m) {
+        const authors = formatAuthors(parseAuthors(m.author), 'mla');
+        const edition = formatEdition(m.edition);
+        const link = formatLink(m.url).replace(/^https?:\/\//, '');
+        const parts = [];
+
+        if (authors) parts.push(`${withPeriod(authors)} `);
+
+        if (m.type === 'book') {
+            parts.push({ text: m.title, italic: true }, '.');
+        } else {
+            parts.push(`"${withPeriod(m.title)}"`);
+        }
+
+        // Container elements are separated by commas and the list ends with a period
+        const details = [];
+        if (m.type !== 'book' && m.container) details.push({ text: m.container, italic: true });
+        if (edition) details.push(edition);
+        if (m.publisher && m.type !== 'article') details.push(m.publisher);
+        if (m.year) details.push(String(m.year));
+        if (link) details.push(link);
+
+        details.forEach((detail, index) => {
+            parts.push(index === 0 ? ' ' : ', ', detail);
+        });
+        if (details.length > 0) parts.push('.');
+        return parts;
+    }
+
+    /**
+     * Format a Chicago bibliography entry
+     * @param {Object} m - Material
+     * @returns {Array} Parts
+     */
+    function formatChicago(m) {
+        const authors = formatAuthors(parseAuthors(m.author), 'chicago');
+        const edition = formatEdition(m.edition);
+        const link = formatLink(m.url);
+        const publication = [m.publisher, m.year].filter(Boolean).join(', ');
+        const parts = [];
+
+        if (authors) parts.push(`${withPeriod(authors)} `);
+
+        if (m.type === 'book') {
+            parts.push({ text: m.title, italic: true }, '.');
+            if (edition) parts.push(` ${edition}`);
+            if (publication) parts.push(` ${withPeriod(publication)}`);
+        } else if (m.type === 'article') {
+            parts.push(`"${withPeriod(m.title)}"`);
+            if (m.container) parts.push(' ', { text: m.container, italic: true });
+            parts.push(m.year ? ` (${m.year}).` : (m.container ? '.' : ''));
+        } else if (m.type === 'chapter') {
+            parts.push(`"${withPeriod(m.title)}"`);
+            if (m.container) parts.push(' In ', { text: m.container, italic: true }, '.');
+            if (edition) parts.push(` ${edition}`);
+            if (publication) parts.push(` ${withPeriod(publication)}`);
+        } else {
+            parts.push(`"${withPeriod(m.title)}"`);
+            if (m.container) parts.push(` ${withPeriod(m.container)}`);
+            if (m.year) parts.push(` ${m.year}.`);
+        }
+
+        if (link) parts.push(` ${withPeriod(link)}`);
+        return parts;
+    }
+
+    /**
+     * Format a material as a citation
+     * @param {Object} material - Material
+     * @param {string} style - 'apa', 'mla' or 'chicago'
+     * @returns {Array} Runs as { text, italic }
+     */
+    function format(material, style) {
+        const m = {
+            ...material,
+            type: TYPES.some(type => type.id === material.type) ? material.type : 'book',
+            title: (material.title || '').trim(),
+            container: (material.container || '').trim(),
+            publisher: (material.publisher || '').trim(),
+            year: String(material.year || '').trim()
+        };
+
+        switch (style) {
+            case 'mla':
+                return toRuns(formatMLA(m));
+            case 'chicago':
+                return toRuns(formatChicago(m));
+            default:
+                return toRuns(formatAPA(m));
+        }
+    }
+
+    return {
+        STYLES,
+        TYPES,
+        parseAuthors,
+        format
+    };
+})();
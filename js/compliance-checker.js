@@ -0,0 +1,181 @@
+/**
+ * Compliance Checker Module
+ * Checks a syllabus against the rules in js/data/compliance-rules.json
+ * before it is exported.
+ *
+ * Each rule names a check below, a severity ('error' or 'warning'), the wizard
+ * step that fixes it (a data-step-name) and a message. A check returns true
+ * when the syllabus passes, false for a single problem, or a list of details
+ * for one problem each; "{detail}" in the message is replaced by the detail.
+ */
+
+const ComplianceChecker = (function() {
+    let rules = null;
+    let rulesLoad = null;
+
+    /**
+     * Read a value from the syllabus data by dotted path
+     * @param {Object} data - Syllabus data
+     * @param {string} path - e.g. "logistics.term"
+     * @returns {*} Value, or undefined
+     */
+    function getField(data, path) {
+        return (path || '').split('.').reduce((value, key) =>
+            value === null || value === undefined ? undefined : value[key], data);
+    }
+
+    // Checks the rules can use, by name
+    const CHECKS = {
+        courseSelected(data) {
+            return !!data.course;
+        },
+
+        filled(data, rule) {
+            const value = getField(data, rule.field);
+            return typeof value === 'string' && value.trim() !== '';
+        },
+
+        minCount(data, rule) {
+            const value = getField(data, rule.field);
+            return Array.isArray(value) && value.length >= (rule.min || 1);
+        },
+
+        instructorListed(data) {
+            return data.logistics.people.some(person =>
+                person.role !== 'ta' && (person.name || '').trim() && (person.email || '').trim());
+        },
+
+        officeHours(data) {
+            return data.logistics.people
+                .filter(person => person.role !== 'ta' && (person.name || '').trim())
+                .filter(person => !(person.officeHours || []).some(slot => slot.day))
+                .map(person => person.name.trim());
+        },
+
+        measurableObjectives(data) {
+            return data.courseObjectives
+                .map((objective, index) => ({ index, result: ObjectiveAnalyzer.analyze(objective.text) }))
+                .filter(entry => entry.result.status === 'unmeasurable' || entry.result.status === 'unknown')
+                .map(entry => `Objective ${entry.index + 1}`);
+        },
+
+        genedsConfirmed(data) {
+            return data.genedOutcomes.length === 0 || data.confirmedGeneds.length > 0;
+        },
+
+        sectionGeneds(data, rule) {
+            return data.confirmedGeneds
+                .filter(gened => (rule.codes || []).includes(gened.code))
+                .map(gened => gened.code);
+        },
+
+        gradeScale(data) {
+            return data.gradeScale === 'plusminus' ? GradeScale.validate(data.customScale) : true;
+        },
+
+        gradeCategories(data) {
+            return data.gradeCategories.some(category => category.name);
+        },
+
+        gradeBreakdown(data) {
+            const categories = data.gradeCategories.filter(category => category.name);
+            return Grading.summarize(categories, data.gradingMode, data.pointsTotal).errors;
+        },
+
+        gradeBreakdownWarnings(data) {
+            const categories = data.gradeCategories.filter(category => category.name);
+            return Grading.summarize(categories, data.gradingMode, data.pointsTotal).warnings;
+        },
+
+        outcomesAssessed() {
+            const labels = SyllabusBuilder.getUnassessedOutcomes().map(row => row.label);
+            return labels.length > 0 ? [labels.join(', ')] : true;
+        },
+
+        validIsbns(data) {
+            return data.materials
+                .filter(material => material.title && (material.isbn || '').trim() && !Isbn.isValid(material.isbn))
+                .map(material => material.title);
+        },
+
+        scheduleGenerated(data) {
+            return data.schedule.rows.length > 0;
+        },
+
+        requiredStatements(data) {
+            const included = new Set((data.policyStatements || []).map(entry => entry.id));
+            return StatementLibrary.getStatements()
+                .filter(statement => statement.required && !included.has(statement.id))
+                .map(statement => statement.title);
+        }
+    };
+
+    /**
+     * Load the rules (once)
+     * @returns {Promise<Array>} Rules
+     */
+    function load() {
+        if (!rulesLoad) {
+            rulesLoad = fetchRules();
+        }
+        return rulesLoad;
+    }
+
+    /**
+     * Fetch the rules file
+     * @returns {Promise<Array>} Rules; empty if they could not be loaded
+     */
+    async function fetchRules() {
+        try {
+            const response = await fetch('js/data/compliance-rules.json');
+            rules = (await response.json()).rules || [];
+        } catch (error) {
+            console.error('Error loading compliance rules:', error);
+            rules = [];
+        }
+        return rules;
+    }
+
+    /**
+     * Check a syllabus against the loaded rules
+     * @param {Object} data - Syllabus data from SyllabusBuilder
+     * @returns {Array} Issues as { ruleId, severity, step, message }, errors first
+     */
+    function run(data) {
+        const issues = [];
+
+        for (const rule of rules || []) {
+            const check = CHECKS[rule.check];
+            if (!check) {
+                console.warn(`Unknown compliance check "${rule.check}" in rule ${rule.id}`);
+                continue;
+            }
+
+            // Skip rules about the course's contents until one is chosen
+            if (!data.course && rule.check !== 'courseSelected') continue;
+
+            const result = check(data, rule);
+            if (result === true || (Array.isArray(result) && result.length === 0)) continue;
+
+            const details = Array.isArray(result) ? result : [''];
+            for (const detail of details) {
+                issues.push({
+                    ruleId: rule.id,
+                    severity: rule.severity === 'warning' ? 'warning' : 'error',
+                    step: rule.step,
+                    message: rule.message.replace(/\{detail\}/g, detail)
+                });
+            }
+        }
+
+        return [
+            ...issues.filter(issue => issue.severity === 'error'),
+            ...issues.filter(issue => issue.severity === 'warning')
+        ];
+    }
+
+    return {
+        load,
+        run
+    };
+})();
@@ -6,62 +6,553 @@
 const CourseLookup = (function() {
     let coursesData = {};
     let genedsData = {};
+    let catalog = { default: null, editions: [] };
+    let catalogReady = null;
+    let activeEdition = null;
+    let requestedEdition = null;
+    let editionLoad = null;
+    let editionLoadId = 0;
+    const shardRequests = new Map();
+    let pendingSelection = null;
     let searchInput = null;
     let searchResults = null;
+    let searchStatus = null;
+    let catalogStatus = null;
+    let searchPlaceholder = '';
+    let browseDepartment = null;
+    let browseGened = null;
+    let browseResults = null;
+    let browseSummary = null;
+    let browseMatches = [];
+    let browseShown = 0;
     let onCourseSelect = null;
+    let onEditionChange = null;
+    let editionSelect = null;
+    let currentResults = [];
+    let activeIndex = -1;
+    let searchIndex = null;
+
+    // Ranking weights for search matches
+    const SCORE = {
+        CODE_EXACT: 1000,
+        CODE_PREFIX: 600,
+        DEPT_EXACT: 400,
+        DEPT_PREFIX: 250,
+        NUMBER_EXACT: 150,
+        NUMBER_PREFIX: 80,
+        TITLE_EXACT: 100,
+        TITLE_PREFIX: 70,
+        TITLE_FUZZY: 45,
+        DESC_EXACT: 20,
+        DESC_PREFIX: 12,
+        DESC_FUZZY: 8
+    };
+    const FUZZY_PENALTY = 0.85;
+    const QUALITY_RANK = { null: 0, partial: 1, fuzzy: 2, exact: 3 };
+    const DEFAULT_RESULT_LIMIT = 25;
+    const BROWSE_PAGE_SIZE = 50;
+    const STOP_WORDS = new Set([
+        'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into',
+        'is', 'it', 'of', 'on', 'or', 'the', 'their', 'this', 'to', 'with'
+    ]);
 
     /**
-     * Initialize the course lookup module
+     * Initialize the course lookup module. The search UI is wired right away
+     * and shows a loading state until the course manifest has arrived.
      * @param {Function} selectCallback - Callback when a course is selected
+     * @param {Function} editionCallback - Callback when the user switches catalog editions
+     * @returns {Promise} Resolves once the catalog can be searched
      */
-    async function init(selectCallback) {
+    async function init(selectCallback, editionCallback) {
         onCourseSelect = selectCallback;
-
-        // Load data files
-        await Promise.all([
-            loadCourses(),
-            loadGeneds()
-        ]);
+        onEditionChange = editionCallback;
 
         // Set up search UI
         searchInput = document.getElementById('course-search');
         searchResults = document.getElementById('search-results');
+        searchStatus = document.getElementById('search-status');
+        catalogStatus = document.getElementById('catalog-status');
+        browseDepartment = document.getElementById('browse-department');
+        browseGened = document.getElementById('browse-gened');
+        browseResults = document.getElementById('browse-results');
+        browseSummary = document.getElementById('browse-summary');
+        editionSelect = document.getElementById('catalog-edition');
 
         if (searchInput) {
             searchInput.addEventListener('input', handleSearch);
             searchInput.addEventListener('focus', handleSearch);
-            searchInput.addEventListener('blur', () => {
-                // Delay hiding to allow click on results
-                setTimeout(() => {
-                    searchResults.classList.remove('active');
-                }, 200);
+            searchInput.addEventListener('keydown', handleSearchKeydown);
+            searchInput.addEventListener('blur', closeResults);
+
+            // Keep focus in the input while clicking a result, so blur
+            // doesn't close the list before the click lands
+            searchResults.addEventListener('mousedown', event => event.preventDefault());
+        }
+
+        setupFindModes();
+        initBrowse();
+        setCatalogLoading(true);
+
+        // Load the list of catalog editions, then the default edition unless
+        // a saved draft has already asked for a specific one
+        catalogReady = loadCatalogList();
+        await catalogReady;
+        initEditionSelect();
+        await setEdition(requestedEdition || catalog.default);
+    }
+
+    /**
+     * Load the list of available catalog editions
+     */
+    async function loadCatalogList() {
+        try {
+            const response = await fetch('js/data/catalogs.json');
+            catalog = await response.json();
+        } catch (error) {
+            console.error('Error loading catalog list:', error);
+            catalog = { default: null, editions: [] };
+        }
+    }
+
+    /**
+     * Fill the catalog edition picker and listen for changes
+     */
+    function initEditionSelect() {
+        if (!editionSelect) return;
+
+        editionSelect.innerHTML = catalog.editions.map(edition =>
+            `<option value="${HtmlSafe.escape(edition.id)}">${HtmlSafe.escape(edition.label)}</option>`
+        ).join('');
+        if (activeEdition) editionSelect.value = activeEdition.id;
+        editionSelect.disabled = catalog.editions.length < 2;
+
+        editionSelect.addEventListener('change', async () => {
+            const edition = await setEdition(editionSelect.value);
+            if (edition && onEditionChange) {
+                onEditionChange(getEdition());
+            }
+        });
+    }
+
+    /**
+     * Find a catalog edition by id
+     * @param {string} id - Edition id (e.g. "2025-26")
+     * @returns {Object|undefined} Edition info
+     */
+    function findEdition(id) {
+        return catalog.editions.find(edition => edition.id === id);
+    }
+
+    /**
+     * Switch to a catalog edition and load its manifest and gen eds
+     * @param {string} id - Edition id; unknown ids fall back to the default edition
+     * @returns {Promise<Object|null>} The edition now in use
+     */
+    async function setEdition(id) {
+        requestedEdition = id;
+        await catalogReady;
+
+        // A later request wins over one still waiting for the catalog list
+        if (id !== requestedEdition) return editionLoad;
+
+        const edition = findEdition(id) || findEdition(catalog.default) || catalog.editions[0];
+        if (!edition) {
+            setCatalogLoading(false);
+            return null;
+        }
+        if (activeEdition && activeEdition.id === edition.id && editionLoad) {
+            return editionLoad;
+        }
+
+        activeEdition = edition;
+        if (editionSelect) editionSelect.value = edition.id;
+        editionLoad = loadEdition(edition);
+        return editionLoad;
+    }
+
+    /**
+     * Load an edition's data and make it the searchable catalog
+     * @param {Object} edition - Edition info
+     * @returns {Promise<Object>} The edition
+     */
+    async function loadEdition(edition) {
+        const loadId = ++editionLoadId;
+        setCatalogLoading(true);
+
+        const [courses, geneds] = await Promise.all([
+            loadCourses(edition),
+            loadGeneds(edition)
+        ]);
+
+        // A later switch supersedes this one
+        if (loadId !== editionLoadId) return edition;
+
+        coursesData = courses;
+        genedsData = geneds;
+        checkCredits();
+
+        // Descriptions are indexed as shards load, so the shard cache starts
+        // over with the index; otherwise cached shards would never be indexed
+        shardRequests.clear();
+        buildSearchIndex();
+        populateBrowseFilters();
+
+        setCatalogLoading(false);
+        return edition;
+    }
+
+    /**
+     * Get the catalog edition in use
+     * @returns {Object|null} { id, label }
+     */
+    function getEdition() {
+        return activeEdition ? { id: activeEdition.id, label: activeEdition.label } : null;
+    }
+
+    /**
+     * Get all catalog editions
+     * @returns {Array} Edition info objects
+     */
+    function getEditions() {
+        return catalog.editions.map(edition => ({ id: edition.id, label: edition.label }));
+    }
+
+    /**
+     * Get the current catalog edition, the one new syllabi start from
+     * @returns {Promise<Object|null>} { id, label }
+     */
+    async function getCurrentEdition() {
+        await catalogReady;
+        const edition = findEdition(catalog.default) || catalog.editions[0];
+        return edition ? { id: edition.id, label: edition.label } : null;
+    }
+
+    /**
+     * Switch the search UI in and out of its loading state
+     * @param {boolean} loading - Whether the catalog is still loading
+     */
+    function setCatalogLoading(loading) {
+        const failed = !loading && Object.keys(coursesData).length === 0;
+        const unavailable = loading || failed;
+
+        if (searchInput) {
+            if (!searchPlaceholder) searchPlaceholder = searchInput.placeholder;
+            searchInput.disabled = unavailable;
+            searchInput.setAttribute('aria-busy', loading ? 'true' : 'false');
+            searchInput.placeholder = loading
+                ? 'Loading course catalog...'
+                : failed ? 'Course catalog unavailable' : searchPlaceholder;
+        }
+        if (browseDepartment && browseGened) {
+            browseDepartment.disabled = unavailable;
+            browseGened.disabled = unavailable;
+        }
+
+        if (loading) {
+            setCatalogStatus('Loading the course catalog. You can fill in the rest of the form in the meantime.');
+        } else if (failed) {
+            setCatalogStatus('The course catalog could not be loaded. Choose "Course not listed" to enter your course by hand.');
+        } else {
+            setCatalogStatus('');
+        }
+    }
+
+    /**
+     * Show or clear the visible catalog status message
+     * @param {string} message - Message, or empty to hide
+     */
+    function setCatalogStatus(message) {
+        if (!catalogStatus) return;
+        catalogStatus.textContent = message;
+        catalogStatus.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Wire the search/browse/manual radio buttons to their panels
+     */
+    function setupFindModes() {
+        document.querySelectorAll('input[name="find-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) showFindModePanel(radio.value);
+            });
+        });
+    }
+
+    /**
+     * Show the panel for the chosen way of finding a course
+     * @param {string} mode - 'search', 'browse' or 'manual'
+     */
+    function showFindModePanel(mode) {
+        const searchPanel = document.getElementById('search-panel');
+        const browsePanel = document.getElementById('browse-panel');
+        if (!searchPanel || !browsePanel) return;
+
+        searchPanel.classList.toggle('hidden', mode !== 'search');
+        browsePanel.classList.toggle('hidden', mode !== 'browse');
+    }
+
+    /**
+     * Select a find mode without firing change events
+     * @param {string} mode - 'search', 'browse' or 'manual'
+     */
+    function setFindMode(mode) {
+        const radio = document.querySelector(`input[name="find-mode"][value="${mode}"]`);
+        if (radio) radio.checked = true;
+        showFindModePanel(mode);
+    }
+
+    /**
+     * Set up the browse-by-department/gen ed panel
+     */
+    function initBrowse() {
+        if (!browseDepartment || !browseGened) return;
+
+        browseDepartment.addEventListener('change', handleBrowse);
+        browseGened.addEventListener('change', handleBrowse);
+    }
+
+    /**
+     * Fill the browse filters from the current edition, keeping selections
+     * that still exist
+     */
+    function populateBrowseFilters() {
+        if (!browseDepartment || !browseGened) return;
+
+        const prefix = browseDepartment.value;
+        const gened = browseGened.value;
+
+        browseDepartment.innerHTML = '<option value="">All departments</option>' +
+            getDepartments().map(dept => `<option value="${HtmlSafe.escape(dept)}">${HtmlSafe.escape(dept)}</option>`).join('');
+        browseGened.innerHTML = '<option value="">Any gen ed attribute</option>' +
+            getGeneds().map(g =>
+                `<option value="${HtmlSafe.escape(g.code)}">${HtmlSafe.escape(g.code)} &ndash; ${HtmlSafe.escape(g.name)}</option>`
+            ).join('');
+
+        browseDepartment.value = prefix;
+        browseGened.value = gened;
+        handleBrowse();
+    }
+
+    /**
+     * Handle a change to the browse filters
+     */
+    function handleBrowse() {
+        const prefix = browseDepartment.value;
+        const gened = browseGened.value;
+
+        if (!prefix && !gened) {
+            browseResults.innerHTML = '';
+            browseSummary.textContent = 'Choose a department, a gen ed attribute, or both.';
+            return;
+        }
+
+        const results = browseCourses({ prefix, gened });
+        const filters = [prefix, gened].filter(Boolean).join(' and ');
+        browseSummary.textContent = results.length === 0
+            ? `No courses match ${filters}.`
+            : `${results.length} ${results.length === 1 ? 'course matches' : 'courses match'} ${filters}.`;
+
+        browseMatches = results;
+        browseShown = 0;
+        browseResults.innerHTML = '';
+        showMoreBrowseResults();
+    }
+
+    /**
+     * Show the next page of browse results, with a button for the rest
+     */
+    function showMoreBrowseResults() {
+        const moreItem = browseResults.querySelector('.browse-more-item');
+        if (moreItem) moreItem.remove();
+
+        const first = browseShown;
+        const page = browseMatches.slice(first, first + BROWSE_PAGE_SIZE);
+        browseShown += page.length;
+        browseResults.insertAdjacentHTML('beforeend', page.map(renderBrowseResult).join(''));
+
+        Array.from(browseResults.querySelectorAll('.browse-result[data-course-key]')).slice(first).forEach(button => {
+            button.addEventListener('click', () => selectCourse(button.dataset.courseKey));
+        });
+
+        const remaining = browseMatches.length - browseShown;
+        if (remaining > 0) {
+            browseResults.insertAdjacentHTML('beforeend', `
+                <li class="browse-more-item">
+                    <button type="button" class="browse-result browse-more">Show ${Math.min(remaining, BROWSE_PAGE_SIZE)} more (${browseShown} of ${browseMatches.length} shown)</button>
+                </li>
+            `);
+            browseResults.querySelector('.browse-more').addEventListener('click', () => {
+                const next = browseShown;
+                showMoreBrowseResults();
+                // Keep keyboard focus in the list, on the first course just shown
+                browseResults.querySelectorAll('.browse-result[data-course-key]')[next].focus();
             });
         }
     }
 
     /**
-     * Load courses data from JSON file
+     * Render one browse result
+     * @param {Object} course - Course summary with its key
+     * @returns {string} List item HTML
      */
-    async function loadCourses() {
+    function renderBrowseResult(course) {
+        return `
+            <li>
+                <button type="button" class="browse-result" data-course-key="${HtmlSafe.escape(course.key)}">
+                    <span class="course-credits">${course.creditsSuspect
+                        ? 'credits unverified'
+                        : `${Credits.format(course.credits)} ${course.credits === 1 ? 'credit' : 'credits'}`}</span>
+                    <span class="course-code">${HtmlSafe.escape(course.prefix)} ${HtmlSafe.escape(course.number)}</span>
+                    <span class="course-title">${HtmlSafe.escape(course.title)}</span>
+                    ${course.geneds.length > 0 ? `<span class="gened-badges">${course.geneds.map(code =>
+                        `<span class="gened-badge small">${HtmlSafe.escape(code)}</span>`
+                    ).join('')}</span>` : ''}
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Load an edition's course search manifest (codes, titles, credits and
+     * gen eds). Descriptions live in per-department shards loaded by loadShard.
+     * @param {Object} edition - Edition info
+     * @returns {Promise<Object>} Course summaries keyed by course key
+     */
+    async function loadCourses(edition) {
         try {
-            const response = await fetch('js/data/courses.json');
-            coursesData = await response.json();
+            const response = await fetch(`${edition.path}courses/index.json`);
+            const manifest = await response.json();
+
+            const courses = {};
+            for (const row of manifest.courses) {
+                const course = {};
+                manifest.fields.forEach((field, i) => {
+                    course[field] = row[i];
+                });
+                courses[`${course.prefix}${course.number}`] = course;
+            }
+            return courses;
         } catch (error) {
             console.error('Error loading courses:', error);
-            coursesData = {};
+            return {};
+        }
+    }
+
+    /**
+     * Load the detail shard for a department, fetching it only once
+     * @param {string} prefix - Department prefix
+     * @param {Object} edition - Edition info (defaults to the edition in use)
+     * @returns {Promise<Object>} Full course records keyed by course key
+     */
+    function loadShard(prefix, edition = activeEdition) {
+        const cacheKey = `${edition.id}/${prefix}`;
+
+        if (!shardRequests.has(cacheKey)) {
+            const request = fetch(`${edition.path}courses/${prefix}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${prefix} courses (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(shard => {
+                    // Skip a shard whose edition was switched away from while it loaded
+                    if (edition === activeEdition && shardRequests.get(cacheKey) === request) {
+                        indexDescriptions(shard);
+                    }
+                    return shard;
+                })
+                .catch(error => {
+                    // Allow a retry on the next selection
+                    shardRequests.delete(cacheKey);
+                    throw error;
+                });
+            shardRequests.set(cacheKey, request);
+        }
+        return shardRequests.get(cacheKey);
+    }
+
+    /**
+     * Load the full record for a course, including its description
+     * @param {string} key - Course key
+     * @returns {Promise<Object|null>} Course data, or null for an unknown key
+     */
+    async function loadCourse(key) {
+        const summary = coursesData[key];
+        if (!summary) return null;
+
+        const shard = await loadShard(summary.prefix);
+        return { ...shard[key], ...summary };
+    }
+
+    /**
+     * Compare a course in the edition in use against every other edition
+     * @param {string} key - Course key
+     * @returns {Promise<Array>} One entry per edition where the course is
+     *   missing or its description or gen eds differ
+     */
+    async function compareEditions(key) {
+        const current = await loadCourse(key);
+        if (!current) return [];
+
+        const comparisons = await Promise.all(catalog.editions
+            .filter(edition => edition.id !== activeEdition.id)
+            .map(async edition => {
+                let other;
+                try {
+                    other = (await loadShard(current.prefix, edition))[key];
+                } catch (error) {
+                    // The department has no shard in that edition
+                    other = undefined;
+                }
+
+                const info = { id: edition.id, label: edition.label };
+                if (!other) {
+                    return { edition: info, missing: true };
+                }
+
+                const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+                const otherGeneds = other.geneds || [];
+                const change = {
+                    edition: info,
+                    missing: false,
+                    descriptionChanged: normalize(other.description) !== normalize(current.description),
+                    genedsAdded: current.geneds.filter(code => !otherGeneds.includes(code)),
+                    genedsRemoved: otherGeneds.filter(code => !current.geneds.includes(code))
+                };
+                const changed = change.descriptionChanged ||
+                    change.genedsAdded.length > 0 || change.genedsRemoved.length > 0;
+                return changed ? change : null;
+            }));
+
+        return comparisons.filter(Boolean);
+    }
+
+    /**
+     * Parse each course's credits and flag values that look wrong, so they are
+     * confirmed by the instructor instead of printed into a syllabus
+     */
+    function checkCredits() {
+        for (const course of Object.values(coursesData)) {
+            course.credits = Credits.parse(course.credits);
+            if (!Credits.isPlausible(course.credits)) {
+                course.creditsSuspect = true;
+            }
         }
     }
 
     /**
-     * Load gen ed data from JSON file
+     * Load an edition's gen ed data from JSON file
+     * @param {Object} edition - Edition info
+     * @returns {Promise<Object>} Gen eds keyed by code
      */
-    async function loadGeneds() {
+    async function loadGeneds(edition) {
         try {
-            const response = await fetch('js/data/geneds.json');
-            genedsData = await response.json();
+            const response = await fetch(`${edition.path}geneds.json`);
+            return await response.json();
         } catch (error) {
             console.error('Error loading gen eds:', error);
-            genedsData = {};
+            return {};
         }
     }
 
@@ -72,7 +563,8 @@ const CourseLookup = (function() {
         const query = searchInput.value.trim().toLowerCase();
 
         if (query.length < 2) {
-            searchResults.classList.remove('active');
+            closeResults();
+            announce('');
             return;
         }
 
@@ -81,29 +573,347 @@ const CourseLookup = (function() {
     }
 
     /**
-     * Search courses by code or title
-     * @param {string} query - Search query
-     * @returns {Array} Matching courses
+     * Build the in-memory search index from the loaded course data
      */
-    function searchCourses(query) {
-        const results = [];
-        const normalizedQuery = query.replace(/\s+/g, '').toLowerCase();
+    function buildSearchIndex() {
+        const index = {
+            entries: new Map(),
+            prefixes: new Map(),
+            numbers: new Map(),
+            titleTokens: new Map(),
+            descriptionTokens: new Map()
+        };
 
         for (const [key, course] of Object.entries(coursesData)) {
-            const code = `${course.prefix}${course.number}`.toLowerCase();
-            const codeWithSpace = `${course.prefix} ${course.number}`.toLowerCase();
-            const title = course.title.toLowerCase();
+            const prefix = course.prefix.toLowerCase();
+            const number = String(course.number).toLowerCase();
+
+            index.entries.set(key, {
+                key,
+                prefix,
+                number,
+                sortNumber: parseInt(number, 10) || 0
+            });
+            addToIndex(index.prefixes, prefix, key);
+            addToIndex(index.numbers, number, key);
 
-            if (code.includes(normalizedQuery) ||
-                codeWithSpace.includes(query.toLowerCase()) ||
-                title.includes(query.toLowerCase())) {
-                results.push({ key, ...course });
+            for (const token of tokenize(course.title)) {
+                addToIndex(index.titleTokens, token, key);
             }
+        }
 
-            if (results.length >= 10) break;
+        searchIndex = index;
+    }
+
+    /**
+     * Add the descriptions from a loaded department shard to the search index
+     * @param {Object} shard - Full course records keyed by course key
+     */
+    function indexDescriptions(shard) {
+        if (!searchIndex) return;
+
+        for (const [key, course] of Object.entries(shard)) {
+            for (const token of tokenize(course.description || '')) {
+                addToIndex(searchIndex.descriptionTokens, token, key);
+            }
+        }
+    }
+
+    /**
+     * Add a course key to a token posting list
+     * @param {Map} map - Token map
+     * @param {string} token - Index token
+     * @param {string} key - Course key
+     */
+    function addToIndex(map, token, key) {
+        let keys = map.get(token);
+        if (!keys) {
+            keys = new Set();
+            map.set(token, keys);
+        }
+        keys.add(key);
+    }
+
+    /**
+     * Lowercase text and strip accents so "Révolution" matches "revolution"
+     * @param {string} text - Raw text
+     * @returns {string} Normalized text
+     */
+    function normalizeText(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Split text into indexable word tokens
+     * @param {string} text - Raw text
+     * @returns {Array} Unique tokens without stop words
+     */
+    function tokenize(text) {
+        const tokens = normalizeText(text).match(/[a-z0-9]+/g) || [];
+        return new Set(tokens.filter(token => !STOP_WORDS.has(token)));
+    }
+
+    /**
+     * Parse a search query into words and course numbers.
+     * "SOCI101", "soci-101" and "101 soci" all parse to the same terms.
+     * @param {string} query - Search query
+     * @returns {Object} Query words and numbers
+     */
+    function parseQuery(query) {
+        const words = [];
+        const numbers = [];
+        const tokens = normalizeText(query).match(/[a-z]+|\d+[a-z]?(?![a-z])/g) || [];
+
+        for (const token of tokens) {
+            if (/^\d/.test(token)) {
+                numbers.push(token);
+            } else if (!STOP_WORDS.has(token)) {
+                words.push(token);
+            }
+        }
+
+        return { words, numbers };
+    }
+
+    /**
+     * Edit distance (with transpositions) between two strings, giving up
+     * once the distance is known to exceed the limit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance, or limit + 1 when it exceeds the limit
+     */
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let prevPrev = [];
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) return limit + 1;
+            prevPrev = prev;
+            prev = current;
         }
 
-        return results;
+        return prev[b.length];
+    }
+
+    /**
+     * Maximum number of typos tolerated for a query word
+     * @param {string} word - Query word
+     * @returns {number} Allowed edit distance
+     */
+    function typoAllowance(word) {
+        if (word.length >= 8) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Find courses whose tokens match a query word exactly, by prefix, or within
+     * the typo allowance. Typos in the first letter are rare, so fuzzy matching
+     * only considers tokens that share it.
+     * @param {Map} tokenMap - Token posting lists
+     * @param {string} word - Query word
+     * @param {Object} weights - Points for exact, prefix and fuzzy matches
+     * @returns {Map} Course key to best points
+     */
+    function matchWord(tokenMap, word, weights) {
+        const matches = new Map();
+        const allowance = typoAllowance(word);
+
+        for (const [token, keys] of tokenMap) {
+            let points = 0;
+            if (token === word) {
+                points = weights.exact;
+            } else if (word.length >= 2 && token.startsWith(word)) {
+                points = weights.prefix;
+            } else if (allowance > 0 && token[0] === word[0] &&
+                editDistance(word, token, allowance) <= allowance) {
+                points = weights.fuzzy;
+            }
+
+            if (!points) continue;
+            for (const key of keys) {
+                if ((matches.get(key) || 0) < points) {
+                    matches.set(key, points);
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find department prefixes a query word could refer to
+     * @param {string} word - Query word
+     * @returns {Map} Lowercase prefix to match quality
+     */
+    function matchDepartment(word) {
+        const matches = new Map();
+
+        for (const prefix of searchIndex.prefixes.keys()) {
+            if (prefix === word) {
+                matches.set(prefix, 'exact');
+            } else if (word.length >= 2 && prefix.startsWith(word)) {
+                matches.set(prefix, 'partial');
+            } else if (word.length >= 3 && editDistance(word, prefix, 1) <= 1) {
+                matches.set(prefix, 'fuzzy');
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find courses whose number matches a query number exactly or by prefix
+     * @param {string} number - Query number
+     * @returns {Map} Course key to match quality
+     */
+    function matchNumber(number) {
+        const matches = new Map();
+
+        for (const [courseNumber, keys] of searchIndex.numbers) {
+            let quality = null;
+            if (courseNumber === number) {
+                quality = 'exact';
+            } else if (courseNumber.startsWith(number)) {
+                quality = 'partial';
+            }
+
+            if (!quality) continue;
+            for (const key of keys) {
+                matches.set(key, quality);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Score the course-code part of a match
+     * @param {string|null} dept - Department match quality
+     * @param {string|null} number - Number match quality
+     * @returns {number} Points
+     */
+    function scoreCode(dept, number) {
+        const fuzzy = dept === 'fuzzy' ? FUZZY_PENALTY : 1;
+
+        if (dept && number) {
+            if (dept !== 'partial' && number === 'exact') return SCORE.CODE_EXACT * fuzzy;
+            return SCORE.CODE_PREFIX * fuzzy * (dept === 'partial' ? FUZZY_PENALTY : 1);
+        }
+        if (dept) {
+            return dept === 'partial' ? SCORE.DEPT_PREFIX : SCORE.DEPT_EXACT * fuzzy;
+        }
+        if (number) {
+            return number === 'exact' ? SCORE.NUMBER_EXACT : SCORE.NUMBER_PREFIX;
+        }
+        return 0;
+    }
+
+    /**
+     * Search courses by code, title and description, ranked by relevance:
+     * exact code, then code prefix, then title matches, then description matches.
+     * Tolerates small typos and accepts codes written as "SOCI101",
+     * "soci-101" or "101 soci". Descriptions are only searched for departments
+     * whose detail shards have been loaded.
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results to return
+     * @returns {Array} Matching courses, best first
+     */
+    function searchCourses(query, limit = DEFAULT_RESULT_LIMIT) {
+        if (!searchIndex) buildSearchIndex();
+
+        const { words, numbers } = parseQuery(query);
+        const termCount = words.length + numbers.length;
+        if (termCount === 0) return [];
+
+        const deptMatches = words.map(matchDepartment);
+        const numberMatches = numbers.map(matchNumber);
+        const titleMatches = words.map(word => matchWord(searchIndex.titleTokens, word, {
+            exact: SCORE.TITLE_EXACT, prefix: SCORE.TITLE_PREFIX, fuzzy: SCORE.TITLE_FUZZY
+        }));
+        const descriptionMatches = words.map(word => matchWord(searchIndex.descriptionTokens, word, {
+            exact: SCORE.DESC_EXACT, prefix: SCORE.DESC_PREFIX, fuzzy: SCORE.DESC_FUZZY
+        }));
+
+        // Every course matched by at least one term is a candidate
+        const candidates = new Set();
+        for (const matches of deptMatches) {
+            for (const prefix of matches.keys()) {
+                searchIndex.prefixes.get(prefix).forEach(key => candidates.add(key));
+            }
+        }
+        for (const matches of [...numberMatches, ...titleMatches, ...descriptionMatches]) {
+            for (const key of matches.keys()) candidates.add(key);
+        }
+
+        const ranked = [];
+        for (const key of candidates) {
+            const entry = searchIndex.entries.get(key);
+
+            // The best department match claims one query word
+            let dept = null;
+            let deptWord = -1;
+            deptMatches.forEach((matches, i) => {
+                const quality = matches.get(entry.prefix);
+                if (quality && QUALITY_RANK[quality] > QUALITY_RANK[dept]) {
+                    dept = quality;
+                    deptWord = i;
+                }
+            });
+
+            let number = null;
+            let matched = dept ? 1 : 0;
+            for (const matches of numberMatches) {
+                const quality = matches.get(key);
+                if (!quality) continue;
+                matched++;
+                if (number !== 'exact') number = quality;
+            }
+
+            let score = scoreCode(dept, number);
+            words.forEach((word, i) => {
+                if (i === deptWord) return;
+                const points = Math.max(
+                    titleMatches[i].get(key) || 0,
+                    descriptionMatches[i].get(key) || 0
+                );
+                if (points) {
+                    matched++;
+                    score += points;
+                }
+            });
+
+            ranked.push({ key, entry, matched, score });
+        }
+
+        ranked.sort((a, b) =>
+            b.matched - a.matched ||
+            b.score - a.score ||
+            a.entry.prefix.localeCompare(b.entry.prefix) ||
+            a.entry.sortNumber - b.entry.sortNumber ||
+            a.entry.number.localeCompare(b.entry.number)
+        );
+
+        return ranked.slice(0, limit).map(({ key }) => ({ key, ...coursesData[key] }));
     }
 
     /**
@@ -111,16 +921,21 @@ const CourseLookup = (function() {
      * @param {Array} results - Search results
      */
     function displayResults(results) {
+        currentResults = results;
+        activeIndex = -1;
+        searchInput.removeAttribute('aria-activedescendant');
+
         if (results.length === 0) {
-            searchResults.innerHTML = '<div class="search-result-item">No courses found</div>';
-            searchResults.classList.add('active');
+            searchResults.innerHTML = '<div class="search-result-item search-no-results" role="option" aria-disabled="true">No courses found</div>';
+            openResults();
+            announce('No courses found.');
             return;
         }
 
-        searchResults.innerHTML = results.map(course => `
-            <div class="search-result-item" data-course-key="${course.key}">
-                <span class="course-code">${course.prefix} ${course.number}</span>
-                <span class="course-title">${course.title}</span>
+        searchResults.innerHTML = results.map((course, index) => `
+            <div class="search-result-item" id="search-option-${index}" role="option" aria-selected="false" data-course-key="${HtmlSafe.escape(course.key)}">
+                <span class="course-code">${HtmlSafe.escape(course.prefix)} ${HtmlSafe.escape(course.number)}</span>
+                <span class="course-title">${HtmlSafe.escape(course.title)}</span>
             </div>
         `).join('');
 
@@ -132,25 +947,126 @@ const CourseLookup = (function() {
             });
         });
 
+        openResults();
+        announce(`${results.length} ${results.length === 1 ? 'course' : 'courses'} found. Use the up and down arrow keys to review and Enter to select.`);
+    }
+
+    /**
+     * Handle keyboard navigation within the search combobox
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleSearchKeydown(event) {
+        const isOpen = searchResults.classList.contains('active');
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!isOpen) {
+                    handleSearch();
+                    return;
+                }
+                setActiveOption(activeIndex + 1 < currentResults.length ? activeIndex + 1 : 0);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!isOpen) return;
+                setActiveOption(activeIndex > 0 ? activeIndex - 1 : currentResults.length - 1);
+                break;
+            case 'Enter':
+                if (!isOpen) return;
+                event.preventDefault();
+                if (activeIndex >= 0) {
+                    selectCourse(currentResults[activeIndex].key);
+                }
+                break;
+            case 'Escape':
+                if (!isOpen) return;
+                event.preventDefault();
+                closeResults();
+                break;
+        }
+    }
+
+    /**
+     * Mark a result as the active option and announce it
+     * @param {number} index - Result index
+     */
+    function setActiveOption(index) {
+        if (currentResults.length === 0) return;
+
+        const options = searchResults.querySelectorAll('[role="option"]');
+        options.forEach((option, i) => {
+            const isActive = i === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+
+        activeIndex = index;
+        const activeOption = options[index];
+        searchInput.setAttribute('aria-activedescendant', activeOption.id);
+        activeOption.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Show the results listbox
+     */
+    function openResults() {
         searchResults.classList.add('active');
+        searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the results listbox
+     */
+    function closeResults() {
+        searchResults.classList.remove('active');
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+        activeIndex = -1;
     }
 
     /**
-     * Select a course and populate form
+     * Update the screen reader status message
+     * @param {string} message - Message to announce
+     */
+    function announce(message) {
+        if (searchStatus) {
+            searchStatus.textContent = message;
+        }
+    }
+
+    /**
+     * Select a course, load its details and populate form
      * @param {string} courseKey - Course identifier
      */
-    function selectCourse(courseKey) {
-        const course = coursesData[courseKey];
-        if (!course) return;
+    async function selectCourse(courseKey) {
+        const summary = coursesData[courseKey];
+        if (!summary) return;
 
-        searchInput.value = `${course.prefix} ${course.number}: ${course.title}`;
-        searchResults.classList.remove('active');
+        const code = `${summary.prefix} ${summary.number}`;
+        pendingSelection = courseKey;
+        searchInput.value = `${code}: ${summary.title}`;
+        closeResults();
+        setCatalogStatus(`Loading details for ${code}...`);
+
+        let course;
+        try {
+            course = await loadCourse(courseKey);
+        } catch (error) {
+            console.error('Error loading course details:', error);
+            if (pendingSelection === courseKey) {
+                setCatalogStatus(`Details for ${code} could not be loaded. Check your connection and select the course again.`);
+            }
+            return;
+        }
+
+        // A later selection wins over a slow response for an earlier one
+        if (pendingSelection !== courseKey) return;
+        setCatalogStatus('');
+        announce(`Selected ${code}: ${course.title}.`);
 
         // Get gen ed details
-        const genedDetails = course.geneds.map(code => ({
-            code,
-            ...genedsData[code]
-        })).filter(g => g.name);
+        const genedDetails = resolveGeneds(course.geneds).details;
 
         // Call callback with course and gen ed data
         if (onCourseSelect) {
@@ -163,9 +1079,9 @@ const CourseLookup = (function() {
     }
 
     /**
-     * Get course by key
+     * Get the manifest entry for a course (no description; see loadCourse)
      * @param {string} key - Course key
-     * @returns {Object} Course data
+     * @returns {Object} Course summary data
      */
     function getCourse(key) {
         return coursesData[key];
@@ -180,6 +1096,51 @@ const CourseLookup = (function() {
         return genedsData[code];
     }
 
+    /**
+     * Look up gen ed codes, separating known codes from unknown ones
+     * @param {Array} codes - Gen ed codes
+     * @returns {Object} Details for known codes and a list of unknown codes
+     */
+    function resolveGeneds(codes) {
+        const details = [];
+        const unknown = [];
+
+        for (const code of codes) {
+            if (genedsData[code]) {
+                details.push({ code, ...genedsData[code] });
+            } else {
+                unknown.push(code);
+            }
+        }
+
+        return { details, unknown };
+    }
+
+    /**
+     * Get all gen ed attributes in catalog order
+     * @returns {Array} Gen eds with their codes
+     */
+    function getGeneds() {
+        return Object.entries(genedsData).map(([code, gened]) => ({ code, ...gened }));
+    }
+
+    /**
+     * List courses in a department and/or carrying a gen ed attribute
+     * @param {Object} filters - Optional prefix and gened code
+     * @returns {Array} Matching courses sorted by course code
+     */
+    function browseCourses({ prefix = '', gened = '' } = {}) {
+        return Object.entries(coursesData)
+            .filter(([, course]) =>
+                (!prefix || course.prefix === prefix) &&
+                (!gened || course.geneds.includes(gened)))
+            .map(([key, course]) => ({ key, ...course }))
+            .sort((a, b) =>
+                a.prefix.localeCompare(b.prefix) ||
+                (parseInt(a.number, 10) || 0) - (parseInt(b.number, 10) || 0) ||
+                a.number.localeCompare(b.number));
+    }
+
     /**
      * Get all departments from courses
      * @returns {Array} Unique department prefixes
@@ -195,8 +1156,19 @@ const CourseLookup = (function() {
     return {
         init,
         getCourse,
+        loadCourse,
+        selectCourse,
+        setFindMode,
+        setEdition,
+        getEdition,
+        getEditions,
+        getCurrentEdition,
+        compareEditions,
         getGened,
+        getGeneds,
+        resolveGeneds,
         getDepartments,
+        browseCourses,
         searchCourses
     };
 })();
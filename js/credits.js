@@ -0,0 +1,124 @@
+/**
+ * Credits Module
+ * Parses, validates and formats course credit hours.
+ * A credits value is either a fixed number (3) or a range ({ min: 1, max: 3 }).
+ */
+
+const Credits = (function() {
+    // A fixed value above this is almost always a collapsed range
+    // (e.g. "1-21" scraped as 21), so it is not printed without confirmation
+    const MAX_FIXED_CREDITS = 6;
+    const MAX_RANGE_CREDITS = 24;
+
+    /**
+     * Parse a credits value from catalog data or user input
+     * @param {number|string|Object} value - 3, "3", "1-3" or { min, max }
+     * @returns {number|Object|null} Fixed number, range, or null if unparseable
+     */
+    function parse(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : null;
+        }
+
+        if (typeof value === 'object') {
+            const min = Number(value.min);
+            const max = Number(value.max);
+            if (!isFinite(min) || !isFinite(max)) return null;
+            return min === max ? min : { min: Math.min(min, max), max: Math.max(min, max) };
+        }
+
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(?:[-–—]|to)?\s*(\d+(?:\.\d+)?)?$/i);
+        if (!match) return null;
+
+        const min = parseFloat(match[1]);
+        const max = match[2] !== undefined ? parseFloat(match[2]) : min;
+        return parse({ min, max });
+    }
+
+    /**
+     * Check whether credits are a min/max range
+     * @param {number|Object} credits - Credits value
+     * @returns {boolean} True for variable credits
+     */
+    function isVariable(credits) {
+        return credits !== null && typeof credits === 'object';
+    }
+
+    /**
+     * Get the lowest and highest credit hours allowed
+     * @param {number|Object} credits - Credits value
+     * @returns {Object} { min, max }
+     */
+    function bounds(credits) {
+        return isVariable(credits) ? credits : { min: credits, max: credits };
+    }
+
+    /**
+     * Check whether a credits value is believable for a single course
+     * @param {number|Object} credits - Credits value
+     * @returns {boolean} True if the value can be printed as is
+     */
+    function isPlausible(credits) {
+        if (credits === null || credits === undefined || credits === '') return false;
+
+        if (isVariable(credits)) {
+            return credits.min >= 0 && credits.min < credits.max && credits.max <= MAX_RANGE_CREDITS;
+        }
+        return credits > 0 && credits <= MAX_FIXED_CREDITS;
+    }
+
+    /**
+     * Check whether a section's credit hours fall within the course's credits
+     * @param {number} value - Section credit hours
+     * @param {number|Object} credits - Course credits value
+     * @returns {boolean} True if allowed
+     */
+    function isWithin(value, credits) {
+        if (typeof value !== 'number' || !isFinite(value)) return false;
+        if (credits === null || credits === undefined || credits === '') return value > 0;
+
+        const { min, max } = bounds(credits);
+        return value >= min && value <= max;
+    }
+
+    /**
+     * Format a credits value for display
+     * @param {number|Object} credits - Credits value
+     * @returns {string} "3" or "1–3"
+     */
+    function format(credits) {
+        if (credits === null || credits === undefined || credits === '') return '';
+        if (isVariable(credits)) return `${credits.min}–${credits.max}`;
+        return String(credits);
+    }
+
+    /**
+     * Describe a course's credits for the syllabus
+     * @param {Object} course - Course data (credits, sectionCredits, creditsSuspect)
+     * @returns {string|null} Text to print, or null if it should be left out
+     */
+    function describe(course) {
+        if (typeof course.sectionCredits === 'number') {
+            return String(course.sectionCredits);
+        }
+        if (course.creditsSuspect || !isPlausible(course.credits)) {
+            return null;
+        }
+        if (isVariable(course.credits)) {
+            return `${format(course.credits)} (variable)`;
+        }
+        return format(course.credits);
+    }
+
+    return {
+        parse,
+        isVariable,
+        bounds,
+        isPlausible,
+        isWithin,
+        format,
+        describe
+    };
+})();
@@ -81,7 +81,7 @@ const Export = (function() {
             return;
         }
 
-        const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, BorderStyle } = docx;
+        const { Packer } = docx;
 
         const course = syllabusData.course;
         if (!course) {
@@ -89,321 +89,7 @@ const Export = (function() {
             return;
         }
 
-        const children = [];
-
-        // Spacing constants (in twips: 1 point = 20 twips)
-        const SPACE_AFTER_TITLE = 400;      // 20pt
-        const SPACE_BEFORE_H1 = 480;        // 24pt
-        const SPACE_AFTER_H1 = 120;         // 6pt
-        const SPACE_BEFORE_H2 = 240;        // 12pt
-        const SPACE_AFTER_H2 = 120;         // 6pt
-        const SPACE_AFTER_PARA = 200;       // 10pt
-
-        // Title
-        children.push(
-            new Paragraph({
-                text: `${course.prefix} ${course.number}: ${course.title}`,
-                heading: HeadingLevel.TITLE,
-                spacing: { after: SPACE_AFTER_TITLE }
-            })
-        );
-
-        // Course Description
-        children.push(
-            new Paragraph({
-                text: 'Course Description',
-                heading: HeadingLevel.HEADING_1,
-                spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
-            })
-        );
-        children.push(
-            new Paragraph({
-                text: course.description,
-                spacing: { after: SPACE_AFTER_PARA }
-            })
-        );
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({ text: 'Credits: ', bold: true }),
-                    new TextRun({ text: String(course.credits) })
-                ],
-                spacing: { after: SPACE_AFTER_PARA }
-            })
-        );
-
-        // Student Learning Outcomes
-        children.push(
-            new Paragraph({
-                text: 'Student Learning Outcomes',
-                heading: HeadingLevel.HEADING_1,
-                spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
-            })
-        );
-
-        // Course Objectives
-        if (syllabusData.courseObjectives && syllabusData.courseObjectives.length > 0) {
-            children.push(
-                new Paragraph({
-                    text: 'Course Learning Objectives',
-                    heading: HeadingLevel.HEADING_2,
-                    spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-                })
-            );
-            children.push(
-                new Paragraph({
-                    text: 'By the end of this course, students will be able to:',
-                    spacing: { after: 120 }
-                })
-            );
-            for (const objective of syllabusData.courseObjectives) {
-                children.push(
-                    new Paragraph({
-                        text: objective,
-                        bullet: { level: 0 },
-                        spacing: { after: 60 }
-                    })
-                );
-            }
-        }
-
-        // Gen Ed Outcomes (use confirmed gen eds, or fall back to all)
-        const genedsForWord = (syllabusData.confirmedGeneds && syllabusData.confirmedGeneds.length > 0)
-            ? syllabusData.confirmedGeneds
-            : syllabusData.genedOutcomes;
-
-        for (const gened of genedsForWord) {
-            children.push(
-                new Paragraph({
-                    text: `${gened.name} Learning Outcomes`,
-                    heading: HeadingLevel.HEADING_2,
-                    spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-                })
-            );
-            for (const outcome of gened.outcomes) {
-                children.push(
-                    new Paragraph({
-                        text: outcome,
-                        bullet: { level: 0 },
-                        spacing: { after: 60 }
-                    })
-                );
-            }
-        }
-
-        // Grading
-        children.push(
-            new Paragraph({
-                text: 'Grading',
-                heading: HeadingLevel.HEADING_1,
-                spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
-            })
-        );
-
-        children.push(
-            new Paragraph({
-                text: 'Grade Scale',
-                heading: HeadingLevel.HEADING_2,
-                spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-            })
-        );
-
-        // Get grade scale text
-        let gradeScaleText = '';
-        if (syllabusData.gradeScale === 'standard') {
-            gradeScaleText = 'A: 93+, A-: 90+, B+: 87+, B: 83+, B-: 80+, C+: 77+, C: 73+, C-: 70+, D+: 67+, D: 60+, F: Below 60';
-        } else if (syllabusData.gradeScale === 'letter') {
-            gradeScaleText = 'A: 90+, B: 80+, C: 70+, D: 60+, F: Below 60';
-        } else {
-            gradeScaleText = syllabusData.customScaleText || 'Custom scale';
-        }
-        children.push(new Paragraph({
-            text: gradeScaleText,
-            spacing: { after: SPACE_AFTER_PARA }
-        }));
-
-        // Assignment Table
-        if (syllabusData.assignments.length > 0) {
-            children.push(
-                new Paragraph({
-                    text: 'Grade Breakdown',
-                    heading: HeadingLevel.HEADING_2,
-                    spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-                })
-            );
-
-            const tableRows = [
-                new TableRow({
-                    children: [
-                        new TableCell({
-                            children: [new Paragraph({ children: [new TextRun({ text: 'Assignment', bold: true })] })],
-                            width: { size: 70, type: WidthType.PERCENTAGE }
-                        }),
-                        new TableCell({
-                            children: [new Paragraph({ children: [new TextRun({ text: 'Percentage', bold: true })] })],
-                            width: { size: 30, type: WidthType.PERCENTAGE }
-                        })
-                    ]
-                })
-            ];
-
-            for (const assignment of syllabusData.assignments) {
-                if (assignment.name && assignment.percentage) {
-                    tableRows.push(
-                        new TableRow({
-                            children: [
-                                new TableCell({
-                                    children: [new Paragraph({ text: assignment.name })]
-                                }),
-                                new TableCell({
-                                    children: [new Paragraph({ text: `${assignment.percentage}%` })]
-                                })
-                            ]
-                        })
-                    );
-                }
-            }
-
-            children.push(
-                new Table({
-                    rows: tableRows,
-                    width: { size: 100, type: WidthType.PERCENTAGE }
-                })
-            );
-        }
-
-        // Attendance Policy
-        if (syllabusData.attendancePolicy.trim()) {
-            children.push(
-                new Paragraph({
-                    text: 'Attendance and Participation',
-                    heading: HeadingLevel.HEADING_2,
-                    spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-                })
-            );
-            const attendanceLines = syllabusData.attendancePolicy.split('\n');
-            for (const line of attendanceLines) {
-                if (line.trim()) {
-                    children.push(new Paragraph({
-                        text: line,
-                        spacing: { after: 120 }
-                    }));
-                }
-            }
-        }
-
-        // Required Materials
-        children.push(
-            new Paragraph({
-                text: 'Required Materials',
-                heading: HeadingLevel.HEADING_1,
-                spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
-            })
-        );
-
-        const hasRequiredMaterialsWord = syllabusData.materials.some(m => m.title);
-
-        if (hasRequiredMaterialsWord || syllabusData.additionalMaterials.trim()) {
-            for (const material of syllabusData.materials) {
-                if (material.title) {
-                    let text = material.title;
-                    if (material.author) text += ` by ${material.author}`;
-                    if (material.publisher || material.edition) {
-                        const pubInfo = [material.publisher, material.edition].filter(Boolean).join(', ');
-                        text += ` (${pubInfo})`;
-                    }
-                    if (material.isbn) text += ` ISBN: ${material.isbn}`;
-
-                    children.push(
-                        new Paragraph({
-                            children: [
-                                new TextRun({ text: material.title, bold: true }),
-                                new TextRun({ text: text.substring(material.title.length) })
-                            ],
-                            bullet: { level: 0 },
-                            spacing: { after: 60 }
-                        })
-                    );
-                }
-            }
-
-            if (syllabusData.additionalMaterials.trim()) {
-                children.push(
-                    new Paragraph({
-                        text: 'Additional Materials',
-                        heading: HeadingLevel.HEADING_2,
-                        spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
-                    })
-                );
-                children.push(new Paragraph({
-                    text: syllabusData.additionalMaterials,
-                    spacing: { after: SPACE_AFTER_PARA }
-                }));
-            }
-        } else {
-            children.push(new Paragraph({
-                text: 'Students are not required to purchase any course materials.',
-                spacing: { after: SPACE_AFTER_PARA }
-            }));
-        }
-
-        // Custom Statements
-        if (syllabusData.customStatements.trim()) {
-            children.push(
-                new Paragraph({
-                    text: 'Course Policies',
-                    heading: HeadingLevel.HEADING_1,
-                    spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
-                })
-            );
-            const statementLines = syllabusData.customStatements.split('\n');
-            for (const line of statementLines) {
-                if (line.trim()) {
-                    children.push(new Paragraph({
-                        text: line,
-                        spacing: { after: 120 }
-                    }));
-                }
-            }
-        }
-
-        // Diversity Statement
-        if (syllabusData.diversityStatement && syllabusData.diversityStatement.trim()) {
-            children.push(
-                new Paragraph({
-                    children: [
-                        new TextRun({
-                            text: syllabusData.diversityStatement,
-                            italics: true
-                        })
-                    ],
-                    spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_PARA }
-                })
-            );
-        }
-
-        // Compliance Statement
-        if (syllabusData.includeCompliance) {
-            children.push(
-                new Paragraph({
-                    children: [
-                        new TextRun({
-                            text: 'This syllabus has been prepared in compliance with UNC System Policy. The university respects the professor\'s expertise and discretion in course design, including the selection of course materials based on their academic merit. The readings and materials in this course have been chosen for their scholarly value in achieving the educational objectives described above.',
-                            italics: true
-                        })
-                    ],
-                    spacing: { before: 200, after: SPACE_AFTER_PARA }
-                })
-            );
-        }
-
-        // Create document
-        const doc = new Document({
-            sections: [{
-                properties: {},
-                children: children
-            }]
-        });
+        const doc = WordRenderer.render(SyllabusBuilder.getDocument());
 
         // Generate and download
         const blob = await Packer.toBlob(doc);
@@ -411,6 +97,16 @@ const Export = (function() {
         downloadBlob(blob, filename);
     }
 
+    /**
+     * Download a syllabus as a project file
+     * @param {Object} syllabusData - Syllabus data from SyllabusBuilder
+     * @param {string} name - Syllabus name, if the instructor chose one
+     */
+    function downloadProjectFile(syllabusData, name) {
+        const blob = new Blob([ProjectFile.serialize(syllabusData, name)], { type: 'application/json' });
+        downloadBlob(blob, ProjectFile.fileName(syllabusData));
+    }
+
     /**
      * Download a blob as a file
      * @param {Blob} blob - File blob
@@ -430,6 +126,7 @@ const Export = (function() {
     return {
         init,
         copyMarkdown,
-        downloadWord
+        downloadWord,
+        downloadProjectFile
     };
 })();
@@ -5,7 +5,7 @@
 
 const FormWizard = (function() {
     let currentStep = 1;
-    const totalSteps = 6;
+    let totalSteps = 0;
     let onStepChange = null;
 
     // DOM elements
@@ -24,6 +24,7 @@ const FormWizard = (function() {
 
         // Get DOM elements
         formSteps = document.querySelectorAll('.form-step');
+        totalSteps = formSteps.length;
         stepIndicators = document.querySelectorAll('.step-indicator');
         progressFill = document.getElementById('progress-fill');
         prevBtn = document.getElementById('prev-btn');
@@ -132,12 +133,23 @@ const FormWizard = (function() {
         return totalSteps;
     }
 
+    /**
+     * Find a step by its data-step-name, so links to a step survive reordering
+     * @param {string} name - Step name (e.g. "grading")
+     * @returns {number|null} Step number
+     */
+    function findStep(name) {
+        const index = Array.from(formSteps).findIndex(step => step.dataset.stepName === name);
+        return index === -1 ? null : index + 1;
+    }
+
     return {
         init,
         goToStep,
         goToNext,
         goToPrevious,
         getCurrentStep,
-        getTotalSteps
+        getTotalSteps,
+        findStep
     };
 })();
@@ -0,0 +1,148 @@
+/**
+ * Grade Scale Module
+ * Defines the built-in grade scales and validates custom ones.
+ * A scale is a list of { grade, min } rows from highest to lowest grade;
+ * each grade covers scores from its cutoff up to the next higher cutoff.
+ */
+
+const GradeScale = (function() {
+    // Standard UNC grade scale
+    const STANDARD = [
+        { grade: 'A', min: 93 },
+        { grade: 'A-', min: 90 },
+        { grade: 'B+', min: 87 },
+        { grade: 'B', min: 83 },
+        { grade: 'B-', min: 80 },
+        { grade: 'C+', min: 77 },
+        { grade: 'C', min: 73 },
+        { grade: 'C-', min: 70 },
+        { grade: 'D+', min: 67 },
+        { grade: 'D', min: 60 },
+        { grade: 'F', min: 0 }
+    ];
+
+    const LETTER = [
+        { grade: 'A', min: 90 },
+        { grade: 'B', min: 80 },
+        { grade: 'C', min: 70 },
+        { grade: 'D', min: 60 },
+        { grade: 'F', min: 0 }
+    ];
+
+    /**
+     * Copy a scale so edits don't change the built-in ones
+     * @param {Array} scale - Scale rows
+     * @returns {Array} Copied rows
+     */
+    function copy(scale) {
+        return scale.map(row => ({ grade: row.grade, min: row.min }));
+    }
+
+    /**
+     * Check a scale for problems
+     * @param {Array} scale - Rows as { grade, min }, highest grade first
+     * @returns {Array} Error messages (empty if valid)
+     */
+    function validate(scale) {
+        const errors = [];
+        const seen = new Set();
+
+        if (!scale || scale.length === 0) {
+            return ['Add at least one grade.'];
+        }
+
+        scale.forEach((row, index) => {
+            const grade = (row.grade || '').trim();
+            const label = grade || `Row ${index + 1}`;
+
+            if (!grade) {
+                errors.push(`Row ${index + 1} needs a grade letter.`);
+            } else if (seen.has(grade.toUpperCase())) {
+                errors.push(`${grade} appears more than once.`);
+            }
+            seen.add(grade.toUpperCase());
+
+            if (typeof row.min !== 'number' || !isFinite(row.min)) {
+                errors.push(`${label} needs a numeric cutoff.`);
+                return;
+            }
+            if (row.min < 0 || row.min > 100) {
+                errors.push(`${label} cutoff must be between 0 and 100.`);
+            }
+
+            const higher = scale[index - 1];
+            if (higher && typeof higher.min === 'number' && row.min >= higher.min) {
+                errors.push(`${label} (${row.min}) overlaps ${higher.grade || `row ${index}`} (${higher.min}); cutoffs must decrease down the list.`);
+            }
+        });
+
+        const lowest = scale[scale.length - 1];
+        if (typeof lowest.min === 'number' && lowest.min > 0 && lowest.min <= 100) {
+            errors.push(`Scores below ${lowest.min} have no grade; the lowest grade must start at 0.`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Add each row's upper bound
+     * @param {Array} scale - Rows as { grade, min }
+     * @returns {Array} Rows as { grade, min, max }; max is exclusive except for the top grade
+     */
+    function withRanges(scale) {
+        return scale.map((row, index) => ({
+            grade: row.grade,
+            min: row.min,
+            max: index === 0 ? 100 : scale[index - 1].min
+        }));
+    }
+
+    /**
+     * Format the score range a grade covers
+     * @param {Object} row - Row with { min, max } from withRanges()
+     * @param {boolean} isTop - Whether this is the highest grade
+     * @returns {string} e.g. "93–100", "90 to below 93", "Below 60"
+     */
+    function formatRange(row, isTop) {
+        if (isTop) return `${row.min}–${row.max}`;
+        if (row.min === 0) return `Below ${row.max}`;
+        return `${row.min} to below ${row.max}`;
+    }
+
+    /**
+     * Parse a scale typed as text, one grade per line or comma
+     * @param {string} text - e.g. "A: 93-100\nA-: 90-92\n...\nF: Below 60"
+     * @returns {Array|null} Rows, or null if nothing could be read
+     */
+    function parseText(text) {
+        const rows = [];
+
+        for (const part of (text || '').split(/[\n,;]+/)) {
+            const match = /^\s*([A-Za-z][+-]?)\s*[:=]?\s*(.*)$/.exec(part);
+            if (!match || !match[2].trim()) continue;
+
+            const number = /(\d+(?:\.\d+)?)/.exec(match[2]);
+            let min = null;
+            if (/below|under|less than|</i.test(match[2])) {
+                min = 0;
+            } else if (number) {
+                min = parseFloat(number[1]);
+            }
+            if (min !== null) {
+                rows.push({ grade: match[1].toUpperCase(), min });
+            }
+        }
+
+        return rows.length > 0 ? rows : null;
+    }
+
+    return {
+        STANDARD,
+        LETTER,
+        copy,
+        validate,
+        withRanges,
+        formatRange,
+        parseText
+    };
+})();
@@ -0,0 +1,156 @@
+/**
+ * Grading Module
+ * Totals a grade breakdown made of categories with child items, in either
+ * percentages or points, and checks that it adds up.
+ *
+ * A category is { id, name, weight, dropLowest, extraCredit, items }, where
+ * weight is a percentage of the final grade in 'percent' mode and a point
+ * value in 'points' mode (used when the category has no items). Each item is
+ * { name, count, points } and stands for `count` graded instances.
+ */
+
+const Grading = (function() {
+    const EPSILON = 0.001;
+
+    /**
+     * Format a number without trailing zeros
+     * @param {number} value - Number
+     * @param {number} decimals - Maximum decimals
+     * @returns {string} e.g. "12.5", "100"
+     */
+    function formatNumber(value, decimals = 2) {
+        return String(parseFloat(Number(value).toFixed(decimals)));
+    }
+
+    /**
+     * Sum a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number} Sum
+     */
+    function sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    /**
+     * Get the number of graded instances an item stands for
+     * @param {Object} item - { count }
+     * @returns {number} At least 1
+     */
+    function itemCount(item) {
+        return Number.isInteger(item.count) && item.count > 0 ? item.count : 1;
+    }
+
+    /**
+     * List the point value of every graded instance in a category
+     * @param {Object} category - Category with items
+     * @returns {Array} Point values (NaN where an item has none)
+     */
+    function instancePoints(category) {
+        const points = [];
+        for (const item of category.items || []) {
+            for (let i = 0; i < itemCount(item); i++) {
+                points.push(typeof item.points === 'number' ? item.points : NaN);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Describe a category's drop rule
+     * @param {Object} category - Category
+     * @returns {string} e.g. "drop lowest 2 of 10", or empty
+     */
+    function describeDrop(category) {
+        if (!category.dropLowest) return '';
+        const instances = instancePoints(category).length;
+        return instances > 0
+            ? `drop lowest ${category.dropLowest} of ${instances}`
+            : `drop lowest ${category.dropLowest}`;
+    }
+
+    /**
+     * Total a grade breakdown and check it
+     * @param {Array} categories - Grade categories
+     * @param {string} mode - 'percent' or 'points'
+     * @param {number|null} declaredTotal - Total points the instructor expects (points mode)
+     * @returns {Object} { mode, rows, total, errors, warnings } where each row is
+     *   { category, value, percent, instances, extraCredit } and value is the
+     *   category's counted points or percentage
+     */
+    function summarize(categories, mode, declaredTotal = null) {
+        const errors = [];
+        const warnings = [];
+
+        const rows = categories.map(category => {
+            const name = category.name || 'Unnamed category';
+            const instances = instancePoints(category);
+            const drop = category.dropLowest || 0;
+            let value = typeof category.weight === 'number' ? category.weight : 0;
+
+            if (value < 0) {
+                errors.push(`${name} cannot have a negative ${mode === 'points' ? 'point value' : 'weight'}.`);
+            }
+            if (drop > 0 && drop >= instances.length) {
+                errors.push(instances.length > 0
+                    ? `${name} drops ${drop} of ${instances.length} items; at least one must count.`
+                    : `${name} drops its lowest ${drop}; add the items it drops from.`);
+            }
+
+            if (mode === 'points' && instances.length > 0) {
+                if (instances.some(points => !(points > 0))) {
+                    errors.push(`Give every item in ${name} a point value.`);
+                }
+                if (drop > 0 && new Set(instances).size > 1) {
+                    warnings.push(`${name} items have different point values; the total assumes the lowest-value items are dropped.`);
+                }
+                const sorted = instances.filter(points => points > 0).sort((a, b) => a - b);
+                value = sum(sorted.slice(Math.min(drop, sorted.length - 1)));
+            }
+
+            return {
+                category,
+                value,
+                percent: 0,
+                instances: instances.length,
+                extraCredit: !!category.extraCredit
+            };
+        });
+
+        const graded = rows.filter(row => !row.extraCredit);
+        const total = sum(graded.map(row => row.value));
+        const base = mode === 'points' ? total : 100;
+        rows.forEach(row => {
+            row.percent = base > 0 ? (row.value / base) * 100 : 0;
+        });
+
+        if (graded.length > 0) {
+            if (mode === 'percent' && Math.abs(total - 100) > EPSILON) {
+                errors.push(`Category weights add up to ${formatNumber(total)}%, not 100%.`);
+            }
+            if (mode === 'points' && total <= 0) {
+                errors.push('Give the graded categories point values.');
+            }
+        }
+
+        if (mode === 'points' && typeof declaredTotal === 'number' && Math.abs(declaredTotal - total) > EPSILON) {
+            errors.push(`Categories add up to ${formatNumber(total)} points, but the total is set to ${formatNumber(declaredTotal)}.`);
+        }
+
+        // The printed percentages are rounded, so make sure they still reach 100
+        if (mode === 'points' && total > 0) {
+            const printed = sum(graded.map(row => parseFloat(formatNumber(row.percent, 1))));
+            if (Math.abs(printed - 100) > EPSILON) {
+                warnings.push(`Rounded to one decimal, the converted percentages add up to ${formatNumber(printed, 1)}%.`);
+            }
+        }
+
+        return { mode, rows, total, errors, warnings };
+    }
+
+    return {
+        formatNumber,
+        itemCount,
+        describeDrop,
+        summarize
+    };
+})();
@@ -0,0 +1,115 @@
+/**
+ * HTML Safety Module
+ * Escapes text before it is interpolated into HTML strings, and sanitizes
+ * the HTML drawn from formatted fields against an allow-list.
+ *
+ * Every catalog value and every value an instructor typed (or loaded from a
+ * shared draft) must go through escape() before it reaches innerHTML. Only
+ * formatted text (see MarkdownLite) produces markup, and that markup is
+ * passed through sanitize().
+ */
+
+const HtmlSafe = (function() {
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    // Elements formatted text can produce, and the attributes each may keep
+    const ALLOWED_ELEMENTS = {
+        P: [],
+        BR: [],
+        STRONG: [],
+        EM: [],
+        UL: [],
+        OL: [],
+        LI: [],
+        H4: [],
+        A: ['href']
+    };
+
+    // Elements removed with their content rather than unwrapped
+    const DROPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH']);
+
+    const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:)/i;
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute value
+     * @param {*} value - Text; null and undefined become empty
+     * @returns {string} Escaped text
+     */
+    function escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+    }
+
+    /**
+     * Check whether a URL is safe to link to
+     * @param {string} url - URL
+     * @returns {boolean} True for http, https and mailto URLs
+     */
+    function isSafeUrl(url) {
+        return SAFE_URL_PATTERN.test((url || '').trim());
+    }
+
+    /**
+     * Remove disallowed elements and attributes from a node's children
+     * @param {Node} parent - Node to clean in place
+     */
+    function cleanChildren(parent) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_ELEMENTS.has(node.nodeName.toUpperCase())) {
+                node.remove();
+                return;
+            }
+
+            cleanChildren(node);
+
+            const allowed = ALLOWED_ELEMENTS[node.nodeName.toUpperCase()];
+            if (!allowed) {
+                // Keep the text of elements that are not allowed
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            [...node.attributes].forEach(attribute => {
+                if (!allowed.includes(attribute.name.toLowerCase())) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (node.nodeName.toUpperCase() === 'A') {
+                if (!isSafeUrl(node.getAttribute('href'))) {
+                    node.removeAttribute('href');
+                } else {
+                    node.setAttribute('target', '_blank');
+                    node.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+        });
+    }
+
+    /**
+     * Sanitize HTML against the allow-list of formatting elements
+     * @param {string} html - HTML from formatted text
+     * @returns {string} HTML with only allowed elements, attributes and links
+     */
+    function sanitize(html) {
+        // Template content is inert: scripts don't run and images don't load
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        cleanChildren(template.content);
+        return template.innerHTML;
+    }
+
+    return {
+        escape,
+        isSafeUrl,
+        sanitize
+    };
+})();
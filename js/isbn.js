@@ -0,0 +1,129 @@
+/**
+ * ISBN Module
+ * Validates ISBN-10 and ISBN-13 check digits and normalizes ISBNs to the
+ * ISBN-13 form used in exports, keeping the hyphenation they were typed with.
+ */
+
+const Isbn = (function() {
+    /**
+     * Strip an "ISBN" label, keeping the separators
+     * @param {string} value - ISBN as typed, e.g. "ISBN 0-393-32078-2"
+     * @returns {string} ISBN, e.g. "0-393-32078-2"
+     */
+    function stripLabel(value) {
+        return (value || '').toUpperCase().replace(/^\s*ISBN(?:-1[03])?:?/, '').trim();
+    }
+
+    /**
+     * Strip hyphens, spaces and an "ISBN" label
+     * @param {string} value - ISBN as typed, e.g. "ISBN 0-393-32078-2"
+     * @returns {string} Digits, with a final X kept for ISBN-10s
+     */
+    function clean(value) {
+        return stripLabel(value).replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Compute the check digit of an ISBN-10
+     * @param {string} digits - First nine digits
+     * @returns {string} Check digit, 0-9 or X
+     */
+    function checkDigit10(digits) {
+        let total = 0;
+        for (let i = 0; i < 9; i++) {
+            total += (10 - i) * parseInt(digits[i], 10);
+        }
+        const check = (11 - (total % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    /**
+     * Compute the check digit of an ISBN-13
+     * @param {string} digits - First twelve digits
+     * @returns {string} Check digit, 0-9
+     */
+    function checkDigit13(digits) {
+        let total = 0;
+        for (let i = 0; i < 12; i++) {
+            total += (i % 2 === 0 ? 1 : 3) * parseInt(digits[i], 10);
+        }
+        return String((10 - (total % 10)) % 10);
+    }
+
+    /**
+     * Validate an ISBN
+     * @param {string} value - ISBN as typed
+     * @returns {Object} { valid, error } where error explains an invalid ISBN
+     */
+    function validate(value) {
+        const isbn = clean(value);
+
+        if (/^\d{9}[\dX]$/.test(isbn)) {
+            return checkDigit10(isbn) === isbn[9]
+                ? { valid: true, error: null }
+                : { valid: false, error: 'The check digit does not match. Check the ISBN for a typo.' };
+        }
+        if (/^\d{13}$/.test(isbn)) {
+            if (!/^97[89]/.test(isbn)) {
+                return { valid: false, error: 'ISBN-13s start with 978 or 979.' };
+            }
+            return checkDigit13(isbn) === isbn[12]
+                ? { valid: true, error: null }
+                : { valid: false, error: 'The check digit does not match. Check the ISBN for a typo.' };
+        }
+        return { valid: false, error: 'An ISBN has 10 or 13 digits.' };
+    }
+
+    /**
+     * Check whether an ISBN is valid
+     * @param {string} value - ISBN as typed
+     * @returns {boolean} True if the length and check digit are right
+     */
+    function isValid(value) {
+        return validate(value).valid;
+    }
+
+    /**
+     * Convert a valid ISBN to ISBN-13
+     * @param {string} value - ISBN-10 or ISBN-13
+     * @returns {string|null} 13 digits without hyphens, or null if invalid
+     */
+    function toIsbn13(value) {
+        if (!isValid(value)) return null;
+
+        const isbn = clean(value);
+        if (isbn.length === 13) return isbn;
+
+        const digits = `978${isbn.slice(0, 9)}`;
+        return digits + checkDigit13(digits);
+    }
+
+    /**
+     * Normalize an ISBN for export: valid ISBNs become ISBN-13s, hyphenated
+     * where they were typed with hyphens or spaces; invalid ones are kept as
+     * typed so they can still be corrected
+     * @param {string} value - ISBN as typed
+     * @returns {string} Normalized ISBN, e.g. "978-0-393-32078-1"
+     */
+    function normalize(value) {
+        const isbn13 = toIsbn13(value);
+        if (!isbn13) return (value || '').trim();
+
+        const parts = stripLabel(value).split(/[\s-]+/);
+        if (parts.length === 1) return isbn13;
+        if (parts.join('').length === 13) return parts.join('-');
+
+        // An ISBN-10 keeps its group, publisher and title parts; only the
+        // 978 prefix and the check digit change
+        const check = parts.pop();
+        return check.length === 1 ? ['978', ...parts, isbn13[12]].join('-') : isbn13;
+    }
+
+    return {
+        clean,
+        validate,
+        isValid,
+        toIsbn13,
+        normalize
+    };
+})();
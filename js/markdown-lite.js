@@ -0,0 +1,158 @@
+/**
+ * Markdown Lite Module
+ * Parses the small Markdown subset instructors can use in free-text syllabus
+ * fields into document tree nodes (see SyllabusBuilder.getDocument):
+ *
+ * - **bold**, *italic* or _italic_
+ * - [links](https://...) and bare http(s) URLs; other link targets are dropped
+ * - "- " or "* " bulleted lists (and "• " bullets) and "1. " numbered lists
+ * - "#" to "###" subheadings, rendered one level below the section subheading
+ *
+ * Paragraphs are separated by blank lines, and single line breaks are kept.
+ * Anything else, including raw HTML, is plain text.
+ */
+
+const MarkdownLite = (function() {
+    const SUBHEADING_LEVEL = 4;
+
+    // Inline syntax, in order: escape, **bold**, __bold__, *italic*, _italic_,
+    // [text](url), bare URL
+    const INLINE_PATTERN = /\\([\\`*_[\]()#+\-.!])|\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__|\*(?=\S)([\s\S]*?\S)\*|_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9])|\[([^\]]+)\]\(([^()\s"<>]+)\)|(https?:\/\/[^\s"<>]*[^\s"<>.,;:!?)'])/g;
+
+    const SAFE_LINK_PATTERN = /^(?:https?:\/\/|mailto:)/i;
+
+    /**
+     * Parse inline formatting into runs
+     * @param {string} text - Text of one block
+     * @param {Object} style - Style applied to every run, e.g. { italic: true }
+     * @returns {Array} Runs as { text, bold, italic, link }
+     */
+    function parseInline(text, style = {}) {
+        const runs = [];
+        const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+        let plain = '';
+        let position = 0;
+        let match;
+
+        const flush = () => {
+            if (plain) runs.push({ text: plain, ...style });
+            plain = '';
+        };
+
+        while ((match = pattern.exec(text)) !== null) {
+            plain += text.slice(position, match.index);
+            position = pattern.lastIndex;
+            const [whole, escaped, strong, strongAlt, emphasis, emphasisAlt, label, url, bareUrl] = match;
+
+            if (escaped !== undefined) {
+                plain += escaped;
+            } else if (emphasisAlt !== undefined && /[A-Za-z0-9]/.test(text[match.index - 1] || '')) {
+                // An underscore inside a word, as in snake_case, is not emphasis
+                plain += '_';
+                position = match.index + 1;
+                pattern.lastIndex = position;
+            } else if (strong !== undefined || strongAlt !== undefined) {
+                flush();
+                runs.push(...parseInline(strong !== undefined ? strong : strongAlt, { ...style, bold: true }));
+            } else if (emphasis !== undefined || emphasisAlt !== undefined) {
+                flush();
+                runs.push(...parseInline(emphasis !== undefined ? emphasis : emphasisAlt, { ...style, italic: true }));
+            } else if (label !== undefined) {
+                flush();
+                if (SAFE_LINK_PATTERN.test(url)) {
+                    runs.push(...parseInline(label, style).map(run => ({ ...run, link: url })));
+                } else {
+                    runs.push(...parseInline(label, style));
+                }
+            } else if (bareUrl !== undefined) {
+                flush();
+                runs.push({ text: bareUrl, ...style, link: bareUrl });
+            } else {
+                plain += whole;
+            }
+        }
+
+        plain += text.slice(position);
+        flush();
+        return runs;
+    }
+
+    /**
+     * Strip inline formatting, e.g. for heading text
+     * @param {string} text - Text with inline formatting
+     * @returns {string} Plain text
+     */
+    function toPlainText(text) {
+        return parseInline(text).map(run => run.text).join('');
+    }
+
+    /**
+     * Parse formatted text into document nodes
+     * @param {string} text - Text the instructor typed
+     * @param {Object} style - Style applied to every run, e.g. { italic: true }
+     * @returns {Array} Heading, paragraph and list nodes
+     */
+    function parse(text, style = {}) {
+        const blocks = [];
+        let paragraphLines = null;
+        let list = null;
+
+        const closeParagraph = () => {
+            if (paragraphLines) {
+                blocks.push({ type: 'paragraph', runs: parseInline(paragraphLines.join('\n'), style) });
+            }
+            paragraphLines = null;
+        };
+
+        const closeList = () => {
+            if (list) {
+                blocks.push({
+                    type: 'list',
+                    ordered: list.ordered,
+                    items: list.items.map(item => parseInline(item, style))
+                });
+            }
+            list = null;
+        };
+
+        (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            if (!line.trim()) {
+                closeParagraph();
+                closeList();
+                return;
+            }
+
+            const headingMatch = /^\s{0,3}#{1,3}\s+(.*?)\s*#*\s*$/.exec(line);
+            const bulletMatch = /^\s*[-*+•]\s+(.*)$/.exec(line);
+            const numberMatch = /^\s*\d{1,9}[.)]\s+(.*)$/.exec(line);
+
+            if (headingMatch) {
+                closeParagraph();
+                closeList();
+                blocks.push({ type: 'heading', level: SUBHEADING_LEVEL, text: toPlainText(headingMatch[1]) });
+            } else if (bulletMatch || numberMatch) {
+                const ordered = !bulletMatch;
+                closeParagraph();
+                if (list && list.ordered !== ordered) closeList();
+                if (!list) list = { ordered, items: [] };
+                list.items.push((bulletMatch || numberMatch)[1].trim());
+            } else if (list && /^\s+\S/.test(line)) {
+                // Indented lines continue the list item above
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                closeList();
+                if (!paragraphLines) paragraphLines = [];
+                paragraphLines.push(line.trim());
+            }
+        });
+
+        closeParagraph();
+        closeList();
+        return blocks;
+    }
+
+    return {
+        parse,
+        parseInline
+    };
+})();
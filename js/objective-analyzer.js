@@ -0,0 +1,226 @@
+/**
+ * Objective Analyzer Module
+ * Classifies the leading verb of each learning objective against Bloom's
+ * taxonomy and flags verbs that describe outcomes no one can observe
+ */
+
+const ObjectiveAnalyzer = (function() {
+    // Revised Bloom's taxonomy, lowest to highest
+    const LEVELS = [
+        { id: 'remember', name: 'Remember', rank: 1 },
+        { id: 'understand', name: 'Understand', rank: 2 },
+        { id: 'apply', name: 'Apply', rank: 3 },
+        { id: 'analyze', name: 'Analyze', rank: 4 },
+        { id: 'evaluate', name: 'Evaluate', rank: 5 },
+        { id: 'create', name: 'Create', rank: 6 }
+    ];
+
+    // Measurable verbs by level. A verb listed under several levels in the
+    // literature is kept at the level reviewers most often read it as.
+    const LEVEL_VERBS = {
+        remember: ['define', 'identify', 'list', 'name', 'recall', 'recognize', 'state', 'label',
+            'match', 'memorize', 'reproduce', 'outline', 'locate', 'record', 'repeat', 'cite'],
+        understand: ['describe', 'explain', 'summarize', 'classify', 'compare', 'contrast', 'discuss',
+            'interpret', 'paraphrase', 'illustrate', 'restate', 'translate', 'report', 'distinguish',
+            'exemplify', 'infer', 'articulate', 'characterize', 'review', 'trace'],
+        apply: ['apply', 'demonstrate', 'use', 'solve', 'calculate', 'compute', 'implement', 'execute',
+            'perform', 'practice', 'employ', 'operate', 'conduct', 'model', 'estimate', 'measure',
+            'prepare', 'present', 'sketch', 'carry out'],
+        analyze: ['analyze', 'differentiate', 'examine', 'investigate', 'categorize', 'deconstruct',
+            'diagram', 'dissect', 'organize', 'attribute', 'test', 'question', 'relate', 'map',
+            'break down', 'detect', 'correlate'],
+        evaluate: ['evaluate', 'assess', 'critique', 'judge', 'justify', 'argue', 'defend', 'appraise',
+            'recommend', 'prioritize', 'rank', 'select', 'support', 'weigh', 'verify', 'validate',
+            'monitor', 'reflect'],
+        create: ['create', 'design', 'develop', 'compose', 'construct', 'formulate', 'generate',
+            'plan', 'produce', 'propose', 'synthesize', 'invent', 'devise', 'write', 'build',
+            'integrate', 'hypothesize', 'author', 'compile']
+    };
+
+    // Verbs that name internal states, with measurable replacements
+    const UNMEASURABLE_VERBS = {
+        'understand': ['explain', 'summarize', 'classify'],
+        'know': ['identify', 'define', 'describe'],
+        'appreciate': ['discuss', 'justify', 'critique'],
+        'learn': ['demonstrate', 'apply', 'describe'],
+        'be aware of': ['identify', 'recognize', 'describe'],
+        'become aware of': ['identify', 'recognize', 'describe'],
+        'be familiar with': ['identify', 'describe', 'use'],
+        'become familiar with': ['identify', 'describe', 'use'],
+        'gain knowledge of': ['define', 'describe', 'explain'],
+        'grasp': ['explain', 'interpret', 'apply'],
+        'comprehend': ['explain', 'summarize', 'interpret'],
+        'realize': ['recognize', 'explain', 'infer'],
+        'believe': ['argue', 'justify', 'defend'],
+        'value': ['justify', 'defend', 'evaluate'],
+        'internalize': ['apply', 'demonstrate', 'reflect'],
+        'think critically about': ['analyze', 'evaluate', 'critique'],
+        'explore': ['investigate', 'examine', 'compare']
+    };
+
+    // Stems that introduce the verb rather than being part of it
+    const LEAD_INS = [
+        /^(?:by the end of (?:this|the) (?:course|semester|term),?\s*)/,
+        /^(?:upon (?:successful )?completion of (?:this|the) course,?\s*)/,
+        /^(?:students|learners|participants|you)\s+(?:will|should|can|must)\s+/,
+        /^(?:swbat|students will be able to)\s+/,
+        /^(?:be able to|able to)\s+/,
+        /^(?:to)\s+/
+    ];
+
+    const verbLevels = new Map();
+    for (const [levelId, verbs] of Object.entries(LEVEL_VERBS)) {
+        for (const verb of verbs) {
+            verbLevels.set(verb, levelId);
+        }
+    }
+
+    /**
+     * Get a level by id
+     * @param {string} id - Level id
+     * @returns {Object|null} Level
+     */
+    function getLevel(id) {
+        return LEVELS.find(level => level.id === id) || null;
+    }
+
+    /**
+     * Remove the lead-in ("Students will be able to ...") from an objective
+     * @param {string} text - Objective text
+     * @returns {string} Lowercased text starting at the verb
+     */
+    function stripLeadIn(text) {
+        let rest = text.toLowerCase().replace(/^[\s\-•*\d.)]+/, '').trim();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const pattern of LEAD_INS) {
+                const next = rest.replace(pattern, '');
+                if (next !== rest) {
+                    rest = next.trim();
+                    changed = true;
+                }
+            }
+        }
+        return rest;
+    }
+
+    /**
+     * Get the base forms a word may be an inflection of
+     * @param {string} word - Lowercase word
+     * @returns {Array} Candidate base forms, the word itself first
+     */
+    function baseForms(word) {
+        const forms = [word];
+        if (word.endsWith('ies')) forms.push(word.slice(0, -3) + 'y');
+        if (word.endsWith('ied')) forms.push(word.slice(0, -3) + 'y');
+        if (word.endsWith('es')) forms.push(word.slice(0, -2));
+        if (word.endsWith('s')) forms.push(word.slice(0, -1));
+        if (word.endsWith('ed')) forms.push(word.slice(0, -2), word.slice(0, -1));
+        if (word.endsWith('ing')) forms.push(word.slice(0, -3), word.slice(0, -3) + 'e');
+        return forms;
+    }
+
+    /**
+     * Find the verb phrase an objective starts with
+     * @param {Array} words - Words after the lead-in
+     * @param {Function} isKnown - Test for a known base phrase
+     * @returns {string|null} Matching base phrase
+     */
+    function matchPhrase(words, isKnown) {
+        // Longest phrase first, so "be aware of" wins over "be"
+        for (let length = Math.min(4, words.length); length >= 1; length--) {
+            const [first, ...others] = words.slice(0, length);
+            for (const form of baseForms(first)) {
+                const phrase = [form, ...others].join(' ');
+                if (isKnown(phrase)) return phrase;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Analyze one learning objective
+     * @param {string} text - Objective text
+     * @returns {Object} { status, verb, level, suggestions } where status is
+     *   'empty', 'measurable', 'unmeasurable' or 'unknown'
+     */
+    function analyze(text) {
+        const rest = stripLeadIn(text || '');
+        const words = rest.split(/[^a-z'-]+/).filter(Boolean);
+        if (words.length === 0) {
+            return { status: 'empty', verb: '', level: null, suggestions: [] };
+        }
+
+        const unmeasurable = matchPhrase(words, phrase => phrase in UNMEASURABLE_VERBS);
+        if (unmeasurable) {
+            return {
+                status: 'unmeasurable',
+                verb: unmeasurable,
+                level: null,
+                suggestions: UNMEASURABLE_VERBS[unmeasurable]
+            };
+        }
+
+        const measurable = matchPhrase(words, phrase => verbLevels.has(phrase));
+        if (measurable) {
+            return {
+                status: 'measurable',
+                verb: measurable,
+                level: getLevel(verbLevels.get(measurable)),
+                suggestions: []
+            };
+        }
+
+        return { status: 'unknown', verb: words[0], level: null, suggestions: [] };
+    }
+
+    /**
+     * Summarize the cognitive levels across a list of objectives
+     * @param {Array} texts - Objective texts
+     * @returns {Object} { total, levels: [{ level, count }], unmeasurable, unknown, results }
+     */
+    function summarize(texts) {
+        const results = texts.map(analyze).filter(result => result.status !== 'empty');
+        const counts = new Map(LEVELS.map(level => [level.id, 0]));
+
+        for (const result of results) {
+            if (result.level) {
+                counts.set(result.level.id, counts.get(result.level.id) + 1);
+            }
+        }
+
+        return {
+            total: results.length,
+            levels: LEVELS.map(level => ({ level, count: counts.get(level.id) })),
+            unmeasurable: results.filter(result => result.status === 'unmeasurable').length,
+            unknown: results.filter(result => result.status === 'unknown').length,
+            results
+        };
+    }
+
+    /**
+     * Describe an analysis result in one sentence
+     * @param {Object} result - Result from analyze()
+     * @returns {string} Text for hints and the export appendix
+     */
+    function describe(result) {
+        switch (result.status) {
+            case 'measurable':
+                return `"${result.verb}" is measurable (${result.level.name}, Bloom's level ${result.level.rank}).`;
+            case 'unmeasurable':
+                return `"${result.verb}" is hard to measure. Try: ${result.suggestions.join(', ')}.`;
+            case 'unknown':
+                return `"${result.verb}" is not in the verb list. Start with an observable action verb.`;
+            default:
+                return '';
+        }
+    }
+
+    return {
+        LEVELS,
+        analyze,
+        summarize,
+        describe
+    };
+})();
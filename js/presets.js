@@ -0,0 +1,198 @@
+/**
+ * Presets Module
+ * Loads department presets, which pre-fill syllabus sections for every
+ * course with a given prefix and can lock or require some of them.
+ *
+ * A preset is { id, name, version, prefixes, fields, locked, required }.
+ * fields holds SyllabusBuilder values (courseObjectives as plain text and
+ * policyStatements as statement library ids). A locked section cannot be
+ * edited; a required one keeps the preset's objectives or statements while
+ * the instructor may add their own.
+ */
+
+const Presets = (function() {
+    // Sections a preset can fill in, with the names shown to instructors
+    const FIELD_LABELS = {
+        gradeScale: 'grade scale',
+        customScale: 'custom grade scale',
+        attendancePolicy: 'attendance policy',
+        courseObjectives: 'learning objectives',
+        policyStatements: 'policy statements',
+        diversityStatement: 'diversity statement',
+        customStatements: 'additional statements'
+    };
+
+    const LOCKABLE_FIELDS = ['gradeScale', 'attendancePolicy', 'courseObjectives', 'policyStatements',
+        'diversityStatement', 'customStatements'];
+    const REQUIRABLE_FIELDS = ['courseObjectives', 'policyStatements'];
+    const TEXT_FIELDS = ['attendancePolicy', 'diversityStatement', 'customStatements'];
+
+    let presetIndex = null;
+    let indexLoad = null;
+
+    /**
+     * Load the list of department presets (once)
+     * @returns {Promise<Object>} Map of course prefix to preset file
+     */
+    function loadIndex() {
+        if (!indexLoad) {
+            indexLoad = fetchIndex();
+        }
+        return indexLoad;
+    }
+
+    /**
+     * Fetch the list of department presets
+     * @returns {Promise<Object>} Map of course prefix to preset file
+     */
+    async function fetchIndex() {
+        try {
+            const response = await fetch('js/data/presets/index.json');
+            presetIndex = (await response.json()).prefixes || {};
+        } catch (error) {
+            console.error('Error loading preset list:', error);
+            presetIndex = {};
+        }
+        return presetIndex;
+    }
+
+    /**
+     * Find the department preset for a course prefix
+     * @param {string} prefix - Course prefix (e.g. "SOCI")
+     * @returns {Promise<Object|null>} Preset, or null if the department has none
+     */
+    async function findForPrefix(prefix) {
+        const index = await loadIndex();
+        const file = index[(prefix || '').toUpperCase()];
+        if (!file) return null;
+
+        try {
+            const response = await fetch(`js/data/presets/${file}`);
+            const preset = await response.json();
+            const errors = validate(preset);
+            if (errors.length > 0) {
+                console.error(`Preset ${file} is invalid:`, errors);
+                return null;
+            }
+            return preset;
+        } catch (error) {
+            console.error(`Error loading preset ${file}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Check a preset for problems
+     * @param {Object} preset - Preset
+     * @returns {Array} Error messages (empty if valid)
+     */
+    function validate(preset) {
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            return ['The preset file does not contain a preset.'];
+        }
+
+        const errors = [];
+        const fields = preset.fields;
+
+        if (!preset.id || typeof preset.id !== 'string') errors.push('The preset needs an id.');
+        if (!preset.name || typeof preset.name !== 'string') errors.push('The preset needs a name.');
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            return [...errors, 'The preset needs a "fields" object.'];
+        }
+
+        for (const field of Object.keys(fields)) {
+            if (!(field in FIELD_LABELS)) errors.push(`Unknown preset field "${field}".`);
+        }
+
+        if ('gradeScale' in fields) {
+            if (!['standard', 'letter', 'plusminus'].includes(fields.gradeScale)) {
+                errors.push('gradeScale must be "standard", "letter" or "plusminus".');
+            } else if (fields.gradeScale === 'plusminus') {
+                const scaleErrors = Array.isArray(fields.customScale)
+                    ? GradeScale.validate(fields.customScale)
+                    : ['A "plusminus" grade scale needs a customScale.'];
+                errors.push(...scaleErrors.map(error => `Custom grade scale: ${error}`));
+            }
+        }
+
+        for (const field of TEXT_FIELDS) {
+            if (field in fields && typeof fields[field] !== 'string') {
+                errors.push(`${field} must be text.`);
+            }
+        }
+
+        for (const field of ['courseObjectives', 'policyStatements']) {
+            if (field in fields && !(Array.isArray(fields[field]) &&
+                fields[field].every(value => typeof value === 'string' && value.trim()))) {
+                errors.push(`${field} must be a list of text.`);
+            }
+        }
+
+        if (Array.isArray(fields.policyStatements) && StatementLibrary.isLoaded()) {
+            for (const id of fields.policyStatements) {
+                if (!StatementLibrary.getStatement(id)) errors.push(`Unknown policy statement "${id}".`);
+            }
+        }
+
+        const checkList = (key, allowed) => {
+            if (preset[key] === undefined) return;
+            if (!Array.isArray(preset[key])) {
+                errors.push(`${key} must be a list of field names.`);
+                return;
+            }
+            for (const field of preset[key]) {
+                if (!allowed.includes(field)) {
+                    errors.push(`"${field}" cannot be ${key}.`);
+                } else if (!(field in fields)) {
+                    errors.push(`"${field}" is ${key} but the preset does not set it.`);
+                }
+            }
+        };
+        checkList('locked', LOCKABLE_FIELDS);
+        checkList('required', REQUIRABLE_FIELDS);
+
+        return errors;
+    }
+
+    /**
+     * Read a preset from the text of a file
+     * @param {string} text - File contents
+     * @returns {Object} { preset, errors } where preset is null if there are errors
+     */
+    function parse(text) {
+        let preset;
+        try {
+            preset = JSON.parse(text);
+        } catch (error) {
+            return { preset: null, errors: ['The preset file is not valid JSON.'] };
+        }
+
+        const errors = validate(preset);
+        return { preset: errors.length === 0 ? preset : null, errors };
+    }
+
+    /**
+     * Describe what a preset locks and requires
+     * @param {Object} preset - Applied preset ({ locked, required })
+     * @returns {string} e.g. "Locked: grade scale, attendance policy. Required: learning objectives."
+     */
+    function describe(preset) {
+        const parts = [];
+        if (preset.locked && preset.locked.length > 0) {
+            parts.push(`Locked: ${preset.locked.map(field => FIELD_LABELS[field]).join(', ')}.`);
+        }
+        if (preset.required && preset.required.length > 0) {
+            parts.push(`Required: ${preset.required.map(field => FIELD_LABELS[field]).join(', ')}.`);
+        }
+        return parts.join(' ');
+    }
+
+    return {
+        FIELD_LABELS,
+        loadIndex,
+        findForPrefix,
+        validate,
+        parse,
+        describe
+    };
+})();
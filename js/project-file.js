@@ -0,0 +1,533 @@
+/**
+ * Project File Module
+ * Saves the full SyllabusBuilder data model as a .syllabus.json project file
+ * and reads it back, so a syllabus can move between browsers or colleagues.
+ *
+ * A project file is { format, schemaVersion, savedAt, name, syllabus }. When
+ * the data model changes shape, bump SCHEMA_VERSION and add a migration from
+ * the previous version to MIGRATIONS. Data saved before project files existed
+ * (drafts, or a bare data model) is version 0.
+ *
+ * Files are migrated and then checked against SCHEMA: a field that is not
+ * valid is left out (the blank form keeps its default) and reported as a
+ * warning, and a file that is not a syllabus at all is rejected with errors.
+ */
+
+const ProjectFile = (function() {
+    const FORMAT = 'unc-syllabus-generator';
+    const SCHEMA_VERSION = 1;
+    const FILE_EXTENSION = '.syllabus.json';
+
+    // Counter for ids given to objectives and categories that lack one
+    let idCounter = 0;
+
+    /**
+     * Create an id like the ones the form gives new rows
+     * @param {string} prefix - 'obj' or 'asg'
+     * @returns {string} Unique id
+     */
+    function createId(prefix) {
+        idCounter += 1;
+        return `${prefix}-${Date.now().toString(36)}-f${idCounter}`;
+    }
+
+    // Field types: text, number, boolean, date (YYYY-MM-DD or empty), credits,
+    // enum (values), list (of), object (fields, required, idPrefix).
+    // nullable allows null; an object with idPrefix gets an id if it has none.
+    const TEXT = { type: 'text' };
+    const BOOLEAN = { type: 'boolean' };
+    const DATE = { type: 'date' };
+    const TEXT_LIST = { type: 'list', of: TEXT };
+
+    const GENED = {
+        type: 'object',
+        label: 'gen ed',
+        required: ['code'],
+        fields: {
+            code: TEXT,
+            name: TEXT,
+            category: TEXT,
+            outcomes: TEXT_LIST
+        }
+    };
+
+    const SCHEMA = {
+        course: {
+            type: 'object',
+            nullable: true,
+            label: 'Course',
+            fields: {
+                prefix: TEXT,
+                number: TEXT,
+                title: TEXT,
+                description: TEXT,
+                credits: { type: 'credits' },
+                sectionCredits: { type: 'number', nullable: true },
+                geneds: TEXT_LIST,
+                genedDetails: { type: 'list', of: GENED },
+                key: TEXT,
+                manual: BOOLEAN
+            }
+        },
+        courseObjectives: {
+            type: 'list',
+            label: 'Learning objectives',
+            of: {
+                type: 'object',
+                label: 'objective',
+                required: ['text'],
+                idPrefix: 'obj',
+                fields: { id: TEXT, text: TEXT, required: BOOLEAN }
+            }
+        },
+        genedOutcomes: { type: 'list', label: 'Gen ed outcomes', of: GENED },
+        confirmedGeneds: { type: 'list', label: 'Confirmed gen eds', of: GENED },
+        gradeScale: { type: 'enum', label: 'Grade scale', values: ['standard', 'letter', 'plusminus'] },
+        customScale: {
+            type: 'list',
+            label: 'Custom grade scale',
+            // Rows are saved as typed, blank ones included; GradeScale.validate
+            // reports an unfinished row in the editor
+            of: {
+                type: 'object',
+                label: 'grade',
+                fields: { grade: TEXT, min: { type: 'number', nullable: true } }
+            }
+        },
+        gradingMode: { type: 'enum', label: 'Grading mode', values: ['percent', 'points'] },
+        gradeCategories: {
+            type: 'list',
+            label: 'Grade categories',
+            of: {
+                type: 'object',
+                label: 'category',
+                idPrefix: 'asg',
+                fields: {
+                    id: TEXT,
+                    name: TEXT,
+                    weight: { type: 'number', nullable: true },
+                    dropLowest: { type: 'number' },
+                    extraCredit: BOOLEAN,
+                    items: {
+                        type: 'list',
+                        of: {
+                            type: 'object',
+                            label: 'item',
+                            fields: {
+                                name: TEXT,
+                                count: { type: 'number', nullable: true },
+                                points: { type: 'number', nullable: true }
+                            }
+                        }
+                    },
+                    objectives: TEXT_LIST,
+                    geneds: TEXT_LIST
+                }
+            }
+        },
+        pointsTotal: { type: 'number', nullable: true, label: 'Points total' },
+        attendancePolicy: { type: 'text', label: 'Attendance policy' },
+        materials: {
+            type: 'list',
+            label: 'Materials',
+            of: {
+                type: 'object',
+                label: 'material',
+                required: ['title'],
+                fields: {
+                    type: { type: 'enum', values: Citation.TYPES.map(type => type.id) },
+                    title: TEXT,
+                    author: TEXT,
+                    container: TEXT,
+                    publisher: TEXT,
+                    edition: TEXT,
+                    year: TEXT,
+                    url: TEXT,
+                    isbn: TEXT,
+                    required: BOOLEAN
+                }
+            }
+        },
+        citationStyle: { type: 'enum', label: 'Citation style', values: Citation.STYLES.map(style => style.id) },
+        additionalMaterials: { type: 'text', label: 'Additional materials' },
+        diversityStatement: { type: 'text', label: 'Diversity statement' },
+        includeCompliance: { type: 'boolean', label: 'Compliance statement setting' },
+        includeObjectiveAnalysis: { type: 'boolean', label: 'Objective analysis setting' },
+        policyStatements: {
+            type: 'list',
+            nullable: true,
+            label: 'Policy statements',
+            of: {
+                type: 'object',
+                label: 'statement',
+                required: ['id'],
+                fields: { id: TEXT, title: TEXT, text: TEXT, edited: BOOLEAN, revised: TEXT }
+            }
+        },
+        customStatements: { type: 'text', label: 'Additional statements' },
+        catalogEdition: {
+            type: 'object',
+            nullable: true,
+            label: 'Catalog edition',
+            required: ['id'],
+            fields: { id: TEXT, label: TEXT }
+        },
+        preset: {
+            type: 'object',
+            nullable: true,
+            label: 'Department preset',
+            required: ['id'],
+            fields: {
+                id: TEXT,
+                name: TEXT,
+                version: TEXT,
+                source: { type: 'enum', values: ['department', 'file'] },
+                locked: TEXT_LIST,
+                required: TEXT_LIST,
+                policyStatements: TEXT_LIST
+            }
+        },
+        logistics: {
+            type: 'object',
+            label: 'Section & instructors',
+            fields: {
+                term: TEXT,
+                section: TEXT,
+                meetingTimes: TEXT,
+                classroom: TEXT,
+                people: {
+                    type: 'list',
+                    of: {
+                        type: 'object',
+                        label: 'person',
+                        fields: {
+                            role: { type: 'enum', values: ['instructor', 'ta'] },
+                            name: TEXT,
+                            email: TEXT,
+                            office: TEXT,
+                            officeHours: {
+                                type: 'list',
+                                of: {
+                                    type: 'object',
+                                    label: 'office hours',
+                                    fields: { day: TEXT, start: TEXT, end: TEXT, location: TEXT }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        schedule: {
+            type: 'object',
+            label: 'Schedule',
+            fields: {
+                startDate: DATE,
+                endDate: DATE,
+                meetingDays: { type: 'list', of: { type: 'enum', label: 'meeting day', values: [0, 1, 2, 3, 4, 5, 6] } },
+                skipHolidays: BOOLEAN,
+                skipDates: {
+                    type: 'list',
+                    of: {
+                        type: 'object',
+                        label: 'skipped date',
+                        required: ['start'],
+                        fields: { start: DATE, end: DATE, label: TEXT }
+                    }
+                },
+                rows: {
+                    type: 'list',
+                    of: {
+                        type: 'object',
+                        label: 'meeting',
+                        required: ['date'],
+                        fields: {
+                            date: DATE,
+                            week: { type: 'number' },
+                            noClass: TEXT,
+                            topic: TEXT,
+                            readings: TEXT,
+                            due: TEXT
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // Migrations, keyed by the version they upgrade from
+    const MIGRATIONS = {
+        /**
+         * Drafts saved before versioning could hold older shapes: objectives
+         * as plain strings, the custom scale as text, and flat
+         * { name, percentage } assignments instead of grade categories
+         * @param {Object} data - Version 0 data
+         * @returns {Object} Version 1 data
+         */
+        0: data => {
+            const migrated = { ...data };
+
+            if (Array.isArray(data.courseObjectives)) {
+                migrated.courseObjectives = data.courseObjectives.map(objective =>
+                    typeof objective === 'string' ? { id: createId('obj'), text: objective } : objective);
+            }
+
+            if (!Array.isArray(data.customScale) && typeof data.customScaleText === 'string') {
+                migrated.customScale = GradeScale.parseText(data.customScaleText) || [];
+            }
+            delete migrated.customScaleText;
+
+            if (!Array.isArray(data.gradeCategories) && Array.isArray(data.assignments)) {
+                migrated.gradeCategories = data.assignments.map(assignment => ({
+                    id: assignment.id,
+                    name: assignment.name,
+                    weight: assignment.percentage,
+                    dropLowest: 0,
+                    extraCredit: false,
+                    items: [],
+                    objectives: assignment.objectives || [],
+                    geneds: assignment.geneds || []
+                }));
+            }
+            delete migrated.assignments;
+
+            return migrated;
+        }
+    };
+
+    /**
+     * Check whether a value is a plain object
+     * @param {*} value - Value
+     * @returns {boolean} True for objects that are not arrays
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Describe a field for messages
+     * @param {string} field - Field name, e.g. "startDate"
+     * @param {Object} schema - Field schema entry
+     * @returns {string} e.g. "start date"
+     */
+    function describeField(field, schema) {
+        return schema.label || field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    }
+
+    /**
+     * Check a value against a schema entry, repairing what can be repaired
+     * @param {*} value - Value from the file
+     * @param {Object} schema - Schema entry
+     * @param {string} where - Description of the value for messages
+     * @param {Array} warnings - Messages about repairs, added to
+     * @returns {*} The valid value, or undefined if it is not valid
+     */
+    function repair(value, schema, where, warnings) {
+        if (value === null && schema.nullable) return null;
+
+        switch (schema.type) {
+            case 'text':
+                if (typeof value === 'string') return value;
+                if (typeof value === 'number' && isFinite(value)) return String(value);
+                return undefined;
+            case 'number': {
+                const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+                return typeof number === 'number' && isFinite(number) ? number : undefined;
+            }
+            case 'boolean':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'date':
+                return typeof value === 'string' && (value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value))
+                    ? value
+                    : undefined;
+            case 'credits':
+                return value === null || value === '' ? null : Credits.parse(value) === null ? undefined : value;
+            case 'enum':
+                return schema.values.includes(value) ? value : undefined;
+            case 'list':
+                return repairList(value, schema, where, warnings);
+            case 'object':
+                return repairObject(value, schema, where, warnings);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Check a list, skipping items that are not valid
+     * @param {*} value - Value from the file
+     * @param {Object} schema - List schema entry
+     * @param {string} where - Description of the list for messages
+     * @param {Array} warnings - Messages about repairs, added to
+     * @returns {Array|undefined} Valid items, or undefined if value is not a list
+     */
+    function repairList(value, schema, where, warnings) {
+        if (!Array.isArray(value)) return undefined;
+
+        const items = [];
+        value.forEach((item, index) => {
+            const label = schema.of.label || 'item';
+            const itemWhere = `${where}, ${label} ${index + 1}`;
+            const repaired = repair(item, schema.of, itemWhere, warnings);
+            if (repaired === undefined) {
+                warnings.push(`${itemWhere} is not valid and was skipped.`);
+            } else {
+                items.push(repaired);
+            }
+        });
+        return items;
+    }
+
+    /**
+     * Check an object, leaving out fields that are not valid and any the
+     * schema does not know
+     * @param {*} value - Value from the file
+     * @param {Object} schema - Object schema entry
+     * @param {string} where - Description of the object for messages
+     * @param {Array} warnings - Messages about repairs, added to
+     * @returns {Object|undefined} Valid object, or undefined if a required field is missing
+     */
+    function repairObject(value, schema, where, warnings) {
+        if (!isObject(value)) return undefined;
+
+        const required = schema.required || [];
+        const repaired = {};
+        const fieldWarnings = [];
+
+        for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+            if (value[field] === undefined) continue;
+
+            const fieldWhere = `${where}: ${describeField(field, fieldSchema)}`;
+            const fieldValue = repair(value[field], fieldSchema, fieldWhere, fieldWarnings);
+            if (fieldValue === undefined) {
+                fieldWarnings.push(`${fieldWhere} is not valid and was left out.`);
+            } else {
+                repaired[field] = fieldValue;
+            }
+        }
+
+        // An object without its required fields is skipped as a whole
+        if (required.some(field => repaired[field] === undefined || repaired[field] === '')) {
+            return undefined;
+        }
+        warnings.push(...fieldWarnings);
+
+        if (schema.idPrefix && !repaired.id) {
+            repaired.id = createId(schema.idPrefix);
+        }
+        return repaired;
+    }
+
+    /**
+     * Migrate syllabus data to the current schema version and check it
+     * @param {Object} data - Syllabus data
+     * @param {number} version - Schema version the data was saved with
+     * @returns {Object} { data, errors, warnings } where data is null if there are errors
+     */
+    function upgrade(data, version) {
+        if (!isObject(data)) {
+            return { data: null, errors: ['The file does not contain a syllabus.'], warnings: [] };
+        }
+        if (!Number.isInteger(version) || version < 0) {
+            return { data: null, errors: [`The schema version "${version}" is not valid.`], warnings: [] };
+        }
+        if (version > SCHEMA_VERSION) {
+            return {
+                data: null,
+                errors: [`This syllabus was saved by a newer version of the generator (schema version ${version}). Reload the page to get the latest version, then try again.`],
+                warnings: []
+            };
+        }
+
+        let migrated = data;
+        for (let from = version; from < SCHEMA_VERSION; from++) {
+            migrated = MIGRATIONS[from](migrated);
+        }
+
+        const warnings = [];
+        const repaired = {};
+        for (const [field, value] of Object.entries(migrated)) {
+            const schema = SCHEMA[field];
+            if (!schema) {
+                warnings.push(`Unknown field "${field}" was ignored.`);
+                continue;
+            }
+
+            const fieldValue = repair(value, schema, schema.label, warnings);
+            if (fieldValue === undefined) {
+                warnings.push(`${schema.label} is not valid and was left out.`);
+            } else {
+                repaired[field] = fieldValue;
+            }
+        }
+
+        if (Object.keys(repaired).length === 0) {
+            return { data: null, errors: ['The file does not contain any syllabus fields.'], warnings };
+        }
+        return { data: repaired, errors: [], warnings };
+    }
+
+    /**
+     * Create a project file
+     * @param {Object} data - Syllabus data from SyllabusBuilder
+     * @param {string} name - Syllabus name, if the instructor chose one
+     * @returns {string} File contents
+     */
+    function serialize(data, name) {
+        return JSON.stringify({
+            format: FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            name: name || '',
+            syllabus: data
+        }, null, 2);
+    }
+
+    /**
+     * Read a project file. A bare data model, such as an old draft, is read
+     * as version 0.
+     * @param {string} text - File contents
+     * @returns {Object} { name, data, errors, warnings } where data is null if there are errors
+     */
+    function parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            return { name: '', data: null, errors: ['The file is not valid JSON.'], warnings: [] };
+        }
+
+        if (!isObject(file)) {
+            return { name: '', data: null, errors: ['The file is not a syllabus project file.'], warnings: [] };
+        }
+
+        const wrapped = file.format !== undefined || file.schemaVersion !== undefined;
+        if (wrapped && file.format !== FORMAT) {
+            return { name: '', data: null, errors: ['The file is not a syllabus project file.'], warnings: [] };
+        }
+
+        const name = wrapped && typeof file.name === 'string' ? file.name.trim() : '';
+        const result = wrapped ? upgrade(file.syllabus, file.schemaVersion) : upgrade(file, 0);
+        return { name, ...result };
+    }
+
+    /**
+     * Name the project file for a syllabus
+     * @param {Object} data - Syllabus data
+     * @returns {string} e.g. "SOCI101_Syllabus.syllabus.json"
+     */
+    function fileName(data) {
+        const course = data.course;
+        const code = course ? `${course.prefix || ''}${course.number || ''}`.replace(/[^A-Za-z0-9-]/g, '') : '';
+        return `${code || 'Untitled'}_Syllabus${FILE_EXTENSION}`;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        FILE_EXTENSION,
+        upgrade,
+        serialize,
+        parse,
+        fileName
+    };
+})();
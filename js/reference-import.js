@@ -0,0 +1,561 @@
+/**
+ * Reference Import Module
+ * Parses reading lists exported from reference managers (BibTeX, RIS or
+ * CSL-JSON) into course materials.
+ *
+ * Materials use the fields Citation formats: { type, title, author, container,
+ * publisher, edition, year, url, isbn, required }. Authors are joined with
+ * "; " as "Last, First", and organizations are wrapped in braces.
+ */
+
+const ReferenceImport = (function() {
+    const FORMAT_NAMES = {
+        bibtex: 'BibTeX',
+        ris: 'RIS',
+        csl: 'CSL-JSON'
+    };
+
+    const BIBTEX_TYPES = {
+        article: 'article',
+        book: 'book',
+        inbook: 'chapter',
+        incollection: 'chapter',
+        online: 'website',
+        webpage: 'website',
+        electronic: 'website'
+    };
+
+    const RIS_TYPES = {
+        BOOK: 'book',
+        EBOOK: 'book',
+        EDBOOK: 'book',
+        JOUR: 'article',
+        EJOUR: 'article',
+        MGZN: 'article',
+        NEWS: 'article',
+        CHAP: 'chapter',
+        ECHAP: 'chapter',
+        ELEC: 'website',
+        WEB: 'website',
+        BLOG: 'website'
+    };
+
+    const CSL_TYPES = {
+        book: 'book',
+        'article-journal': 'article',
+        'article-magazine': 'article',
+        'article-newspaper': 'article',
+        article: 'article',
+        chapter: 'chapter',
+        webpage: 'website',
+        'post-weblog': 'website'
+    };
+
+    // LaTeX accent commands and the combining marks they stand for
+    const LATEX_ACCENTS = {
+        '"': '̈',
+        "'": '́',
+        '`': '̀',
+        '^': '̂',
+        '~': '̃',
+        '=': '̄',
+        '.': '̇',
+        c: '̧',
+        v: '̌',
+        u: '̆',
+        H: '̋'
+    };
+
+    /**
+     * Work out which format a reference list is in
+     * @param {string} text - Pasted or uploaded text
+     * @returns {string|null} 'bibtex', 'ris', 'csl' or null
+     */
+    function detectFormat(text) {
+        const value = text.trim();
+        if (value.startsWith('[') || value.startsWith('{')) return 'csl';
+        if (/^\s*@\w+\s*[{(]/m.test(value)) return 'bibtex';
+        if (/^TY {2}- /m.test(value)) return 'ris';
+        return null;
+    }
+
+    /**
+     * Create an empty material
+     * @param {string} type - Material type
+     * @returns {Object} Material
+     */
+    function createMaterial(type) {
+        return {
+            type: type || 'book',
+            title: '',
+            author: '',
+            container: '',
+            publisher: '',
+            edition: '',
+            year: '',
+            url: '',
+            isbn: '',
+            required: true
+        };
+    }
+
+    /**
+     * Take the first ISBN from a field that may list several
+     * @param {string} value - ISBN field, e.g. "9780393639407 (pbk.)"
+     * @returns {string} ISBN, or empty
+     */
+    function firstIsbn(value) {
+        const match = /[\dXx][\d\s-]{8,}[\dXx]/.exec(value || '');
+        return match ? match[0].trim() : '';
+    }
+
+    /**
+     * Find a four-digit year in a date
+     * @param {string} value - Date, e.g. "2019/05/01" or "2019"
+     * @returns {string} Year, or empty
+     */
+    function findYear(value) {
+        const match = /\d{4}/.exec(value || '');
+        return match ? match[0] : '';
+    }
+
+    /**
+     * Convert LaTeX markup in a BibTeX value to plain text
+     * @param {string} value - Raw value
+     * @returns {string} Plain text
+     */
+    function latexToText(value) {
+        return value
+            .replace(/\\([`'^"~=.])\s*\{?([A-Za-z])\}?/g, (match, accent, letter) => letter + LATEX_ACCENTS[accent])
+            .replace(/\\([cvuH])\s*\{([A-Za-z])\}/g, (match, accent, letter) => letter + LATEX_ACCENTS[accent])
+            .replace(/\\([&%$#_])/g, '$1')
+            .replace(/---/g, '—')
+            .replace(/--/g, '–')
+            .replace(/~/g, ' ')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .normalize('NFC')
+            .trim();
+    }
+
+    /**
+     * Split a BibTeX string on a separator that is not inside braces
+     * @param {string} value - Raw value
+     * @param {RegExp} separator - Separator pattern, e.g. /\s+and\s+/
+     * @returns {Array} Parts
+     */
+    function splitTopLevel(value, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '{') depth++;
+            if (value[i] === '}') depth--;
+            if (depth !== 0) continue;
+
+            const match = separator.exec(value.slice(i));
+            if (match && match.index === 0) {
+                parts.push(value.slice(start, i));
+                i += match[0].length - 1;
+                start = i + 1;
+            }
+        }
+        parts.push(value.slice(start));
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Convert a BibTeX name list to an author field
+     * @param {string} value - Raw names, e.g. "Smith, Jane and {World Bank}"
+     * @returns {string} Author field
+     */
+    function bibtexAuthors(value) {
+        return splitTopLevel(value, /^\s+and\s+/).map(name => {
+            // A name wrapped in braces is an organization
+            if (/^\{[^{}]*\}$/.test(name)) return `{${latexToText(name)}}`;
+            return latexToText(name);
+        }).join('; ');
+    }
+
+    /**
+     * Read a BibTeX value starting at a position
+     * @param {string} text - BibTeX source
+     * @param {number} start - Position of the value
+     * @param {Object} strings - @string macros
+     * @returns {Object} { value, end, unclosed } with the raw value, the position
+     *   after it, and whether a brace or quote was still open at the end of the input
+     */
+    function readBibtexValue(text, start, strings) {
+        let value = '';
+        let i = start;
+
+        while (i < text.length) {
+            while (/\s/.test(text[i])) i++;
+
+            if (text[i] === '{') {
+                let depth = 1;
+                const open = ++i;
+                while (i < text.length && depth > 0) {
+                    if (text[i] === '{') depth++;
+                    if (text[i] === '}') depth--;
+                    i++;
+                }
+                if (depth > 0) return { value: '', end: text.length, unclosed: true };
+                value += text.slice(open, i - 1);
+            } else if (text[i] === '"') {
+                const open = ++i;
+                let depth = 0;
+                while (i < text.length && (text[i] !== '"' || depth > 0)) {
+                    if (text[i] === '{') depth++;
+                    if (text[i] === '}') depth--;
+                    i++;
+                }
+                if (i >= text.length) return { value: '', end: text.length, unclosed: true };
+                value += text.slice(open, i);
+                i++;
+            } else {
+                const match = /^[^\s,#}]+/.exec(text.slice(i));
+                if (!match) break;
+                value += strings[match[0].toLowerCase()] !== undefined ? strings[match[0].toLowerCase()] : match[0];
+                i += match[0].length;
+            }
+
+            // Values can be concatenated with #
+            while (/\s/.test(text[i])) i++;
+            if (text[i] !== '#') break;
+            i++;
+        }
+
+        return { value, end: i, unclosed: false };
+    }
+
+    /**
+     * Find the end of a balanced body, such as an @comment's
+     * @param {string} text - BibTeX source
+     * @param {number} start - Position just after the opening delimiter
+     * @param {string} open - '{' or '('
+     * @returns {number} Position after the closing delimiter, or -1 if it is never closed
+     */
+    function skipBalanced(text, start, open) {
+        const close = open === '{' ? '}' : ')';
+        let depth = 1;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === open) depth++;
+            if (text[i] === close) depth--;
+            if (depth === 0) return i + 1;
+        }
+        return -1;
+    }
+
+    /**
+     * Parse BibTeX entries into field maps
+     * @param {string} text - BibTeX source
+     * @param {Array} errors - Messages about entries that could not be read, added to
+     * @returns {Array} Entries as { type, fields }
+     */
+    function readBibtexEntries(text, errors) {
+        const entries = [];
+        const strings = {};
+        const entryPattern = /@(\w+)\s*([{(])/g;
+        let match;
+
+        while ((match = entryPattern.exec(text)) !== null) {
+            const type = match[1].toLowerCase();
+            let i = entryPattern.lastIndex;
+
+            // Skip the whole body, so commented-out entries are not read
+            if (type === 'comment' || type === 'preamble') {
+                const end = skipBalanced(text, i, match[2]);
+                if (end === -1) break;
+                entryPattern.lastIndex = end;
+                continue;
+            }
+
+            // Skip the citation key; without a comma after it, the entry is
+            // reported and the search resumes at the next "@"
+            let key = '';
+            if (type !== 'string') {
+                const citationKey = /^\s*([^\s,{}()=@]*)\s*,/.exec(text.slice(i));
+                if (!citationKey) {
+                    // A word followed by "=" is the first field, not a key
+                    const start = /^\s*([^\s,{}()=@]*)\s*(=?)/.exec(text.slice(i));
+                    const name = start[1] && !start[2] ? `"${start[1]}"` : `an @${type} entry`;
+                    errors.push(`Skipped ${name}: there is no comma after its citation key.`);
+                    continue;
+                }
+                key = citationKey[1];
+                i += citationKey[0].length;
+            }
+
+            const fields = {};
+            let unclosed = false;
+            while (i < text.length) {
+                const field = /^[\s,]*([\w-]+)\s*=\s*/.exec(text.slice(i));
+                if (!field) break;
+
+                const value = readBibtexValue(text, i + field[0].length, strings);
+                if (value.unclosed) {
+                    errors.push(`Skipped ${key ? `"${key}"` : `an @${type} entry`}: its ${field[1]} has a "{" or quote that is never closed.`);
+                    unclosed = true;
+                    break;
+                }
+                fields[field[1].toLowerCase()] = value.value;
+                i = value.end;
+            }
+
+            // The rest of the input was read as part of the open value
+            if (unclosed) break;
+
+            if (type === 'string') {
+                Object.assign(strings, fields);
+            } else {
+                entries.push({ type, fields });
+            }
+            entryPattern.lastIndex = i;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse BibTeX into materials
+     * @param {string} text - BibTeX source
+     * @param {Array} errors - Messages about entries that could not be read, added to
+     * @returns {Array} Materials
+     */
+    function parseBibtex(text, errors) {
+        return readBibtexEntries(text, errors).map(({ type, fields }) => {
+            const field = name => (fields[name] ? latexToText(fields[name]) : '');
+            const material = createMaterial(BIBTEX_TYPES[type] || (type === 'misc' && fields.url ? 'website' : 'book'));
+
+            material.title = field('title');
+            material.author = bibtexAuthors(fields.author || fields.editor || '');
+            material.publisher = field('publisher') || field('institution') || field('organization');
+            material.edition = field('edition');
+            material.year = field('year') || findYear(field('date'));
+            material.isbn = firstIsbn(field('isbn'));
+            material.url = (fields.doi || fields.url || '').trim();
+
+            if (material.type === 'article') {
+                material.container = field('journal') || field('journaltitle');
+            } else if (material.type === 'chapter') {
+                material.container = field('booktitle');
+                if (type === 'inbook' && !material.container) {
+                    // @inbook puts the book in title and the chapter in chapter
+                    material.container = material.title;
+                    material.title = field('chapter');
+                }
+            } else if (material.type === 'website') {
+                material.container = field('organization') || field('howpublished');
+            }
+            return material;
+        });
+    }
+
+    /**
+     * Parse RIS into materials
+     * @param {string} text - RIS source
+     * @returns {Array} Materials
+     */
+    function parseRis(text) {
+        const materials = [];
+        let current = null;
+        let authors = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const match = /^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/.exec(line);
+            if (!match) return;
+
+            const tag = match[1];
+            const value = (match[2] || '').trim();
+
+            if (tag === 'TY') {
+                current = createMaterial(RIS_TYPES[value] || 'book');
+                authors = [];
+                return;
+            }
+            if (!current) return;
+
+            switch (tag) {
+                case 'ER':
+                    current.author = authors.join('; ');
+                    materials.push(current);
+                    current = null;
+                    break;
+                case 'TI':
+                case 'T1':
+                    current.title = current.title || value;
+                    break;
+                case 'AU':
+                case 'A1':
+                    authors.push(value);
+                    break;
+                case 'A2':
+                case 'ED':
+                    // Editors stand in for authors of edited books
+                    if (current.type === 'book' && authors.length === 0) authors.push(value);
+                    break;
+                case 'PY':
+                case 'Y1':
+                case 'DA':
+                    current.year = current.year || findYear(value);
+                    break;
+                case 'PB':
+                    current.publisher = value;
+                    break;
+                case 'ET':
+                    current.edition = value;
+                    break;
+                case 'SN':
+                    // SN holds the ISSN for articles
+                    if (current.type === 'book' || current.type === 'chapter') {
+                        current.isbn = current.isbn || firstIsbn(value);
+                    }
+                    break;
+                case 'JO':
+                case 'JF':
+                case 'T2':
+                case 'BT':
+                    current.container = current.container || value;
+                    break;
+                case 'DO':
+                    current.url = value;
+                    break;
+                case 'UR':
+                    current.url = current.url || value;
+                    break;
+            }
+        });
+
+        return materials;
+    }
+
+    /**
+     * Convert CSL-JSON names to an author field
+     * @param {Array} names - Names as { family, given } or { literal }
+     * @returns {string} Author field
+     */
+    function cslAuthors(names) {
+        return (names || []).map(name => {
+            if (name.literal) return `{${name.literal}}`;
+            return [name.family, name.given].filter(Boolean).join(', ');
+        }).filter(Boolean).join('; ');
+    }
+
+    /**
+     * Parse CSL-JSON into materials
+     * @param {string} text - CSL-JSON source
+     * @returns {Array} Materials
+     */
+    function parseCsl(text) {
+        const data = JSON.parse(text);
+        const items = Array.isArray(data) ? data : (Array.isArray(data.items) ? data.items : [data]);
+
+        return items.filter(item => item && typeof item === 'object').map(item => {
+            const material = createMaterial(CSL_TYPES[item.type] || 'book');
+            const issued = item.issued || {};
+
+            material.title = String(item.title || '').trim();
+            material.author = cslAuthors(item.author || item.editor);
+            material.container = String(item['container-title'] || '').trim();
+            material.publisher = String(item.publisher || '').trim();
+            material.edition = String(item.edition || '').trim();
+            material.year = issued['date-parts'] && issued['date-parts'][0]
+                ? String(issued['date-parts'][0][0] || '')
+                : findYear(issued.raw || issued.literal);
+            material.isbn = firstIsbn(item.ISBN);
+            material.url = String(item.DOI || item.URL || '').trim();
+            return material;
+        });
+    }
+
+    /**
+     * Parse a pasted or uploaded reference list
+     * @param {string} text - BibTeX, RIS or CSL-JSON
+     * @returns {Object} { format, materials, errors }
+     */
+    function parse(text) {
+        const format = detectFormat(text || '');
+        if (!format) {
+            return { format: null, materials: [], errors: ['Paste or upload references in BibTeX, RIS or CSL-JSON format.'] };
+        }
+
+        const errors = [];
+        let entries;
+        try {
+            entries = format === 'bibtex' ? parseBibtex(text, errors)
+                : format === 'ris' ? parseRis(text)
+                    : parseCsl(text);
+        } catch (error) {
+            return { format, materials: [], errors: [`The ${FORMAT_NAMES[format]} could not be read: ${error.message}`] };
+        }
+
+        const untitled = entries.filter(material => !material.title).length;
+        if (untitled > 0) {
+            errors.push(`Skipped ${untitled} ${untitled === 1 ? 'entry' : 'entries'} without a title.`);
+        }
+        if (entries.length === 0 && errors.length === 0) {
+            errors.push(`No references were found in the ${FORMAT_NAMES[format]}.`);
+        }
+
+        return { format, materials: entries.filter(material => material.title), errors };
+    }
+
+    /**
+     * Reduce a title to letters and digits for comparison
+     * @param {string} title - Title
+     * @returns {string} Comparison key
+     */
+    function titleKey(title) {
+        return (title || '').toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Get the first author's family name for comparison
+     * @param {string} author - Author field
+     * @returns {string} Lowercase family name, or empty
+     */
+    function authorKey(author) {
+        const names = Citation.parseAuthors(author);
+        return names.length > 0 ? titleKey(names[0].last) : '';
+    }
+
+    /**
+     * Reduce an ISBN to ISBN-13 for comparison, so ISBN-10s match too
+     * @param {string} isbn - ISBN as entered
+     * @returns {string} Comparison key, or empty
+     */
+    function isbnKey(isbn) {
+        return Isbn.toIsbn13(isbn) || Isbn.clean(isbn);
+    }
+
+    /**
+     * Check whether a material is already in a list. Materials match on ISBN,
+     * or on title when neither first author differs.
+     * @param {Object} material - Material
+     * @param {Array} materials - Existing materials
+     * @returns {boolean} True if it is a duplicate
+     */
+    function isDuplicate(material, materials) {
+        const isbn = isbnKey(material.isbn);
+        const title = titleKey(material.title);
+        const author = authorKey(material.author);
+
+        return materials.some(existing => {
+            const existingIsbn = isbnKey(existing.isbn);
+            if (isbn && existingIsbn) return isbn === existingIsbn;
+
+            const existingAuthor = authorKey(existing.author);
+            return title === titleKey(existing.title) &&
+                (!author || !existingAuthor || author === existingAuthor);
+        });
+    }
+
+    return {
+        FORMAT_NAMES,
+        detectFormat,
+        parse,
+        isDuplicate
+    };
+})();
@@ -0,0 +1,96 @@
+/**
+ * HTML Renderer
+ * Renders a syllabus document tree (see SyllabusBuilder.getDocument) as HTML
+ * for the preview. All text is escaped; formatted text is also sanitized.
+ */
+
+const HTMLRenderer = (function() {
+    /**
+     * Format plain text to HTML (escape it, then handle newlines and bullets)
+     * @param {string} text - Plain text
+     * @returns {string} HTML formatted text
+     */
+    function formatTextToHTML(text) {
+        return HtmlSafe.escape(text)
+            .replace(/\n/g, '<br>')
+            .replace(/•/g, '&bull;');
+    }
+
+    /**
+     * Render inline content
+     * @param {Array} runs - Runs as { text, bold, italic, link }
+     * @returns {string} HTML
+     */
+    function renderRuns(runs) {
+        return runs.map(run => {
+            let html = formatTextToHTML(run.text);
+            if (run.bold) html = `<strong>${html}</strong>`;
+            if (run.italic) html = `<em>${html}</em>`;
+            if (run.link && HtmlSafe.isSafeUrl(run.link)) {
+                html = `<a href="${HtmlSafe.escape(run.link)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+            }
+            return html;
+        }).join('');
+    }
+
+    /**
+     * Render a row of table cells
+     * @param {Array} cells - Cells as { runs, span }
+     * @param {string} tag - 'th' or 'td'
+     * @returns {string} HTML
+     */
+    function renderCells(cells, tag) {
+        return cells.map(cell => {
+            const span = cell.span > 1 ? ` colspan="${cell.span}"` : '';
+            return `<${tag}${span}>${renderRuns(cell.runs)}</${tag}>`;
+        }).join('');
+    }
+
+    /**
+     * Render one block node
+     * @param {Object} node - Document node
+     * @returns {string} HTML
+     */
+    function renderNode(node) {
+        switch (node.type) {
+            case 'heading':
+                return `<h${node.level}>${HtmlSafe.escape(node.text)}</h${node.level}>`;
+            case 'paragraph':
+                return `<p>${renderRuns(node.runs)}</p>`;
+            case 'list': {
+                const tag = node.ordered ? 'ol' : 'ul';
+                return `<${tag}>${node.items.map(item => `<li>${renderRuns(item)}</li>`).join('')}</${tag}>`;
+            }
+            case 'table': {
+                let html = `<table><thead><tr>${renderCells(node.header, 'th')}</tr></thead><tbody>`;
+                for (const row of node.rows) {
+                    html += `<tr${row.level > 0 ? ' class="nested-row"' : ''}>${renderCells(row.cells, 'td')}</tr>`;
+                }
+                html += '</tbody>';
+                if (node.footer) {
+                    html += `<tfoot><tr>${renderCells(node.footer, 'td')}</tr></tfoot>`;
+                }
+                return html + '</table>';
+            }
+            case 'rule':
+                return '<hr>';
+            case 'formatted':
+                return HtmlSafe.sanitize(node.blocks.map(renderNode).join(''));
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render a document tree
+     * @param {Object} documentTree - { title, blocks }
+     * @returns {string} HTML content
+     */
+    function render(documentTree) {
+        return documentTree.blocks.map(renderNode).join('');
+    }
+
+    return {
+        render
+    };
+})();
@@ -0,0 +1,141 @@
+/**
+ * Markdown Renderer
+ * Renders a syllabus document tree (see SyllabusBuilder.getDocument) as Markdown
+ */
+
+const MarkdownRenderer = (function() {
+    /**
+     * Wrap text in an emphasis marker, keeping surrounding whitespace outside
+     * it so "**Credits:** 3" stays valid Markdown
+     * @param {string} text - Text on a single line
+     * @param {string} marker - '**' or '*'
+     * @returns {string} Emphasized text
+     */
+    function emphasize(text, marker) {
+        const match = /^(\s*)(.*?)(\s*)$/.exec(text);
+        if (!match[2]) return text;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    }
+
+    /**
+     * Render a run of text
+     * @param {Object} run - { text, bold, italic, link }
+     * @returns {string} Markdown, with line breaks kept as "\n"
+     */
+    function renderRun(run) {
+        return run.text.split('\n').map(line => {
+            if (run.link && line.trim()) line = line === run.link ? `<${line}>` : `[${line}](${run.link})`;
+            if (run.bold) line = emphasize(line, '**');
+            if (run.italic) line = emphasize(line, '*');
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Render inline content
+     * @param {Array} runs - Runs
+     * @returns {string} Markdown with hard line breaks
+     */
+    function renderRuns(runs) {
+        return runs.map(renderRun).join('').replace(/\n/g, '  \n');
+    }
+
+    /**
+     * Render a table cell; Markdown cells cannot hold pipes or line breaks
+     * @param {Object} cell - { runs }
+     * @returns {string} Cell text
+     */
+    function renderCell(cell) {
+        return runsToLine(cell.runs).replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Render inline content on a single line
+     * @param {Array} runs - Runs
+     * @returns {string} Markdown without line breaks
+     */
+    function runsToLine(runs) {
+        return runs.map(renderRun).join('').replace(/\s*\n\s*/g, ' ');
+    }
+
+    /**
+     * Render a table row, padding spanned columns with empty cells
+     * @param {Array} cells - Cells
+     * @returns {string} Row line
+     */
+    function renderRow(cells) {
+        const texts = [];
+        for (const cell of cells) {
+            texts.push(renderCell(cell));
+            for (let i = 1; i < cell.span; i++) texts.push('');
+        }
+        return `| ${texts.join(' | ')} |`;
+    }
+
+    /**
+     * Render formatted text. It is already Markdown, so it is kept as typed;
+     * a style such as italics is only added to paragraphs without any
+     * formatting of their own.
+     * @param {Object} node - { source, style }
+     * @returns {string} Markdown
+     */
+    function renderFormatted(node) {
+        if (!node.style.bold && !node.style.italic) return node.source;
+
+        return node.source.split(/\n\s*\n/).map(part => {
+            const text = part.trim();
+            if (/[*_[\]#]|^\s*(?:[-+•]|\d{1,9}[.)])\s/m.test(text)) return text;
+            return renderRun({ text, ...node.style });
+        }).join('\n\n');
+    }
+
+    /**
+     * Render one block node
+     * @param {Object} node - Document node
+     * @returns {string} Markdown
+     */
+    function renderNode(node) {
+        switch (node.type) {
+            case 'heading':
+                return `${'#'.repeat(node.level)} ${node.text}`;
+            case 'paragraph':
+                return renderRuns(node.runs);
+            case 'list':
+                return node.items.map((item, index) =>
+                    `${node.ordered ? `${index + 1}.` : '-'} ${runsToLine(item)}`).join('\n');
+            case 'table': {
+                const lines = [
+                    renderRow(node.header),
+                    `|${node.header.map(() => '---').join('|')}|`
+                ];
+                for (const row of node.rows) {
+                    const cells = row.level > 0
+                        ? [{ ...row.cells[0], runs: [{ text: '— ' }, ...row.cells[0].runs] }, ...row.cells.slice(1)]
+                        : row.cells;
+                    lines.push(renderRow(cells));
+                }
+                if (node.footer) lines.push(renderRow(node.footer));
+                return lines.join('\n');
+            }
+            case 'rule':
+                return '---';
+            case 'formatted':
+                return renderFormatted(node);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render a document tree
+     * @param {Object} documentTree - { title, blocks }
+     * @returns {string} Markdown content
+     */
+    function render(documentTree) {
+        return documentTree.blocks.map(renderNode).filter(Boolean).join('\n\n') + '\n';
+    }
+
+    return {
+        render
+    };
+})();
@@ -0,0 +1,207 @@
+/**
+ * Word Renderer
+ * Renders a syllabus document tree (see SyllabusBuilder.getDocument) as a
+ * docx.js Document. Requires the docx library (loaded by Export.init).
+ */
+
+const WordRenderer = (function() {
+    // Spacing constants (in twips: 1 point = 20 twips)
+    const SPACE_AFTER_TITLE = 400;      // 20pt
+    const SPACE_BEFORE_H1 = 480;        // 24pt
+    const SPACE_AFTER_H1 = 120;         // 6pt
+    const SPACE_BEFORE_H2 = 240;        // 12pt
+    const SPACE_AFTER_H2 = 120;         // 6pt
+    const SPACE_BEFORE_H3 = 200;        // 10pt
+    const SPACE_AFTER_H3 = 80;          // 4pt
+    const SPACE_AFTER_PARA = 200;       // 10pt
+    const SPACE_AFTER_LIST_ITEM = 60;   // 3pt
+    const NESTED_ROW_INDENT = 360;      // 0.25in
+
+    /**
+     * Render inline content, turning line breaks into Word line breaks and
+     * links into hyperlinks
+     * @param {Array} runs - Runs as { text, bold, italic, link }
+     * @param {Object} style - Style applied to every run, e.g. { bold: true }
+     * @returns {Array} TextRuns and ExternalHyperlinks
+     */
+    function renderRuns(runs, style = {}) {
+        const { TextRun, ExternalHyperlink } = docx;
+        const children = [];
+
+        for (const run of runs) {
+            const textRuns = run.text.split('\n').map((line, index) => new TextRun({
+                text: line,
+                bold: run.bold || style.bold,
+                italics: run.italic || style.italic,
+                style: run.link ? 'Hyperlink' : undefined,
+                break: index > 0 ? 1 : undefined
+            }));
+
+            if (run.link) {
+                children.push(new ExternalHyperlink({ children: textRuns, link: run.link }));
+            } else {
+                children.push(...textRuns);
+            }
+        }
+
+        return children;
+    }
+
+    /**
+     * Render a heading
+     * @param {Object} node - { level, text }
+     * @returns {Paragraph} Heading paragraph
+     */
+    function renderHeading(node) {
+        const { Paragraph, HeadingLevel } = docx;
+
+        switch (node.level) {
+            case 1:
+                return new Paragraph({
+                    text: node.text,
+                    heading: HeadingLevel.TITLE,
+                    spacing: { after: SPACE_AFTER_TITLE }
+                });
+            case 2:
+                return new Paragraph({
+                    text: node.text,
+                    heading: HeadingLevel.HEADING_1,
+                    spacing: { before: SPACE_BEFORE_H1, after: SPACE_AFTER_H1 }
+                });
+            case 3:
+                return new Paragraph({
+                    text: node.text,
+                    heading: HeadingLevel.HEADING_2,
+                    spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_H2 }
+                });
+            default:
+                return new Paragraph({
+                    text: node.text,
+                    heading: HeadingLevel.HEADING_3,
+                    spacing: { before: SPACE_BEFORE_H3, after: SPACE_AFTER_H3 }
+                });
+        }
+    }
+
+    /**
+     * Render a table
+     * @param {Object} node - { header, rows, footer, widths, width }
+     * @returns {Table} Table
+     */
+    function renderTable(node) {
+        const { Paragraph, Table, TableRow, TableCell, WidthType, AlignmentType } = docx;
+
+        const renderCell = (cell, options = {}) => new TableCell({
+            children: [new Paragraph({
+                children: renderRuns(cell.runs, options.style),
+                alignment: cell.align === 'center' ? AlignmentType.CENTER : undefined,
+                indent: options.indent ? { left: NESTED_ROW_INDENT } : undefined
+            })],
+            columnSpan: cell.span > 1 ? cell.span : undefined,
+            width: options.width ? { size: options.width, type: WidthType.PERCENTAGE } : undefined
+        });
+
+        const rows = [
+            new TableRow({
+                tableHeader: true,
+                children: node.header.map((cell, index) => renderCell(cell, {
+                    style: { bold: true },
+                    width: node.widths ? node.widths[index] : undefined
+                }))
+            })
+        ];
+
+        for (const row of node.rows) {
+            rows.push(new TableRow({
+                children: row.cells.map((cell, index) => renderCell(cell, {
+                    indent: index === 0 && row.level > 0
+                }))
+            }));
+        }
+
+        if (node.footer) {
+            rows.push(new TableRow({ children: node.footer.map(cell => renderCell(cell)) }));
+        }
+
+        return new Table({
+            rows,
+            width: { size: node.width, type: WidthType.PERCENTAGE }
+        });
+    }
+
+    /**
+     * Render one block node
+     * @param {Object} node - Document node
+     * @param {number} listIndex - Number of numbered lists before this one, so each restarts at 1
+     * @returns {Array} Paragraphs and tables
+     */
+    function renderNode(node, listIndex) {
+        const { Paragraph } = docx;
+
+        switch (node.type) {
+            case 'heading':
+                return [renderHeading(node)];
+            case 'paragraph':
+                return [new Paragraph({
+                    children: renderRuns(node.runs),
+                    spacing: { after: SPACE_AFTER_PARA }
+                })];
+            case 'list':
+                return node.items.map(item => new Paragraph({
+                    children: renderRuns(item),
+                    numbering: node.ordered ? { reference: 'ordered-list', level: 0, instance: listIndex } : undefined,
+                    bullet: node.ordered ? undefined : { level: 0 },
+                    spacing: { after: SPACE_AFTER_LIST_ITEM }
+                }));
+            case 'table':
+                return [renderTable(node)];
+            case 'rule':
+                return [new Paragraph({ thematicBreak: true, spacing: { before: SPACE_BEFORE_H2, after: SPACE_AFTER_PARA } })];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Render a document tree
+     * @param {Object} documentTree - { title, blocks }
+     * @returns {Document} Word document
+     */
+    function render(documentTree) {
+        const { Document, LevelFormat, AlignmentType } = docx;
+
+        // Formatted text is drawn as the blocks it was parsed into
+        const blocks = documentTree.blocks.flatMap(node => node.type === 'formatted' ? node.blocks : [node]);
+
+        const children = [];
+        let listIndex = 0;
+        for (const node of blocks) {
+            if (node.type === 'list' && node.ordered) listIndex++;
+            children.push(...renderNode(node, listIndex));
+        }
+
+        return new Document({
+            title: documentTree.title,
+            numbering: {
+                config: [{
+                    reference: 'ordered-list',
+                    levels: [{
+                        level: 0,
+                        format: LevelFormat.DECIMAL,
+                        text: '%1.',
+                        alignment: AlignmentType.START,
+                        style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+                    }]
+                }]
+            },
+            sections: [{
+                properties: {},
+                children: children
+            }]
+        });
+    }
+
+    return {
+        render
+    };
+})();
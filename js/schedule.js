@@ -0,0 +1,278 @@
+/**
+ * Schedule Module
+ * Generates the list of class meetings for a term, skipping university
+ * holidays and instructor-specified no-class dates
+ */
+
+const Schedule = (function() {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MAX_TERM_DAYS = 400;
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /**
+     * Parse a YYYY-MM-DD string as a UTC date (avoids daylight-saving shifts)
+     * @param {string} value - ISO date string
+     * @returns {Date|null} Date, or null if invalid
+     */
+    function parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Format a UTC date as YYYY-MM-DD
+     * @param {Date} date - Date
+     * @returns {string} ISO date string
+     */
+    function toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Add days to a date
+     * @param {Date} date - Start date
+     * @param {number} days - Days to add (may be negative)
+     * @returns {Date} New date
+     */
+    function addDays(date, days) {
+        return new Date(date.getTime() + days * DAY_MS);
+    }
+
+    /**
+     * Format an ISO date for a syllabus table
+     * @param {string} value - ISO date string
+     * @returns {string} e.g. "Mon, Aug 18"
+     */
+    function formatDate(value) {
+        const date = parseDate(value);
+        if (!date) return value || '';
+        return `${DAY_NAMES[date.getUTCDay()]}, ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}`;
+    }
+
+    /**
+     * Get the nth weekday of a month (n = -1 for the last one)
+     * @param {number} year - Year
+     * @param {number} month - Month (0-11)
+     * @param {number} weekday - Day of week (0 = Sunday)
+     * @param {number} n - Occurrence
+     * @returns {Date} Date
+     */
+    function nthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const first = new Date(Date.UTC(year, month, 1));
+            const offset = (weekday - first.getUTCDay() + 7) % 7;
+            return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+        }
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        const offset = (last.getUTCDay() - weekday + 7) % 7;
+        return new Date(Date.UTC(year, month, last.getUTCDate() - offset));
+    }
+
+    /**
+     * Get Easter Sunday (anonymous Gregorian algorithm)
+     * @param {number} year - Year
+     * @returns {Date} Date
+     */
+    function easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Get the fixed-rule university holidays for a year. Fall break, spring
+     * break and wellness days change every year and are entered by the instructor.
+     * @param {number} year - Year
+     * @returns {Array} Holidays as { date, name }
+     */
+    function getUniversityHolidays(year) {
+        const thanksgiving = nthWeekday(year, 10, 4, 4);
+        const july4 = new Date(Date.UTC(year, 6, 4));
+        const july4Observed = july4.getUTCDay() === 6 ? addDays(july4, -1)
+            : july4.getUTCDay() === 0 ? addDays(july4, 1) : july4;
+
+        return [
+            { date: nthWeekday(year, 0, 1, 3), name: 'Martin Luther King Jr. Day' },
+            { date: addDays(easterSunday(year), -2), name: 'Good Friday' },
+            { date: nthWeekday(year, 4, 1, -1), name: 'Memorial Day' },
+            { date: july4Observed, name: 'Independence Day' },
+            { date: nthWeekday(year, 8, 1, 1), name: 'Labor Day' },
+            { date: addDays(thanksgiving, -1), name: 'Thanksgiving Break' },
+            { date: thanksgiving, name: 'Thanksgiving Break' },
+            { date: addDays(thanksgiving, 1), name: 'Thanksgiving Break' }
+        ].map(holiday => ({ date: toISODate(holiday.date), name: holiday.name }));
+    }
+
+    /**
+     * Collect the dates without class between two dates
+     * @param {Date} start - First day of term
+     * @param {Date} end - Last day of term
+     * @param {Array} skipDates - Instructor no-class entries ({ start, end, label })
+     * @param {boolean} skipHolidays - Whether to skip university holidays
+     * @returns {Map} ISO date to reason
+     */
+    function getClosures(start, end, skipDates, skipHolidays) {
+        const closures = new Map();
+
+        if (skipHolidays) {
+            for (let year = start.getUTCFullYear(); year <= end.getUTCFullYear(); year++) {
+                for (const holiday of getUniversityHolidays(year)) {
+                    closures.set(holiday.date, holiday.name);
+                }
+            }
+        }
+
+        for (const skip of skipDates) {
+            const from = parseDate(skip.start);
+            if (!from) continue;
+            const to = parseDate(skip.end) || from;
+
+            for (let day = from; day <= to && closures.size < MAX_TERM_DAYS; day = addDays(day, 1)) {
+                closures.set(toISODate(day), skip.label || 'No class');
+            }
+        }
+
+        return closures;
+    }
+
+    /**
+     * Check term settings before generating meetings
+     * @param {Object} settings - { startDate, endDate, meetingDays }
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validate(settings) {
+        const start = parseDate(settings.startDate);
+        const end = parseDate(settings.endDate);
+
+        if (!start || !end) return 'Enter the first and last day of classes.';
+        if (end < start) return 'The last day of classes must be after the first day.';
+        if ((end - start) / DAY_MS > MAX_TERM_DAYS) return 'The term can be at most 400 days long.';
+        if (!settings.meetingDays || settings.meetingDays.length === 0) return 'Choose at least one meeting day.';
+        return null;
+    }
+
+    /**
+     * Generate one row per class meeting. Topics, readings and due items of
+     * existing rows are kept when their date is still in the schedule.
+     * @param {Object} settings - { startDate, endDate, meetingDays (0-6), skipDates, skipHolidays }
+     * @param {Array} existingRows - Rows from a previous generation
+     * @returns {Array} Rows as { date, week, noClass, topic, readings, due }
+     */
+    function generateMeetings(settings, existingRows = []) {
+        if (validate(settings)) return [];
+
+        const start = parseDate(settings.startDate);
+        const end = parseDate(settings.endDate);
+        const closures = getClosures(start, end, settings.skipDates || [], settings.skipHolidays !== false);
+        const existing = new Map(existingRows.map(row => [row.date, row]));
+        const firstWeek = addDays(start, -start.getUTCDay());
+        const rows = [];
+
+        for (let day = start; day <= end; day = addDays(day, 1)) {
+            if (!settings.meetingDays.includes(day.getUTCDay())) continue;
+
+            const date = toISODate(day);
+            const previous = existing.get(date) || {};
+            rows.push({
+                date,
+                week: Math.floor(Math.round((day - firstWeek) / DAY_MS) / 7) + 1,
+                noClass: closures.get(date) || '',
+                topic: previous.topic || '',
+                readings: previous.readings || '',
+                due: previous.due || ''
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find rows with content that a regenerated schedule would drop
+     * @param {Array} oldRows - Current rows
+     * @param {Array} newRows - Regenerated rows
+     * @returns {Array} Dropped rows
+     */
+    function findDroppedRows(oldRows, newRows) {
+        const kept = new Set(newRows.map(row => row.date));
+        return oldRows.filter(row =>
+            !kept.has(row.date) && (row.topic || row.readings || row.due));
+    }
+
+    /**
+     * Move a schedule to a new term. Every date moves by whole weeks, so it
+     * keeps its weekday and its week of the term, and the meetings are
+     * regenerated for the new term, keeping each row's topic, readings and
+     * due items.
+     * @param {Object} schedule - Schedule settings and rows, with a startDate
+     * @param {string} startDate - First day of classes in the new term
+     * @param {string} endDate - Last day of classes; the old one, moved, if empty
+     * @returns {Object} { schedule, weeks, dropped, cancelled, error } where dropped
+     *   are moved rows with content that no longer fall on a meeting, and
+     *   cancelled are rows with content that now fall on a holiday
+     */
+    function shiftTerm(schedule, startDate, endDate) {
+        const weekOf = date => addDays(date, -date.getUTCDay());
+        const weeks = Math.round((weekOf(parseDate(startDate)) - weekOf(parseDate(schedule.startDate))) / DAY_MS / 7);
+        const shift = value => {
+            const date = parseDate(value);
+            return date ? toISODate(addDays(date, weeks * 7)) : value;
+        };
+
+        const settings = {
+            ...schedule,
+            startDate,
+            endDate: endDate || shift(schedule.endDate),
+            skipDates: (schedule.skipDates || []).map(skip =>
+                ({ ...skip, start: shift(skip.start), end: shift(skip.end) }))
+        };
+        const movedRows = (schedule.rows || []).map(row => ({ ...row, date: shift(row.date) }));
+
+        // Without generated meetings, only the dates move
+        if (movedRows.length === 0) {
+            return { schedule: { ...settings, rows: [] }, weeks, dropped: [], cancelled: [], error: null };
+        }
+
+        const error = validate(settings);
+        if (error) return { schedule: null, weeks, dropped: [], cancelled: [], error };
+
+        const rows = generateMeetings(settings, movedRows);
+        const wasCancelled = new Set(movedRows.filter(row => row.noClass).map(row => row.date));
+        return {
+            schedule: { ...settings, rows },
+            weeks,
+            dropped: findDroppedRows(movedRows, rows),
+            cancelled: rows.filter(row =>
+                row.noClass && !wasCancelled.has(row.date) && (row.topic || row.readings || row.due)),
+            error: null
+        };
+    }
+
+    return {
+        DAY_NAMES,
+        parseDate,
+        toISODate,
+        addDays,
+        formatDate,
+        getUniversityHolidays,
+        validate,
+        generateMeetings,
+        findDroppedRows,
+        shiftTerm
+    };
+})();
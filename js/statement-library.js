@@ -0,0 +1,139 @@
+/**
+ * Statement Library Module
+ * Loads the bundled library of UNC policy statements (js/data/statements.json)
+ * and tracks which statements a syllabus includes.
+ *
+ * A syllabus keeps its chosen statements as { id, title, text, edited, revised },
+ * where revised is the library revision of the official text the entry was
+ * taken from. Unedited entries follow the library; edited ones keep the
+ * instructor's text until it is reset.
+ */
+
+const StatementLibrary = (function() {
+    let library = null;
+    let libraryLoad = null;
+
+    /**
+     * Load the statement library (once)
+     * @returns {Promise<Object>} Library as { version, label, statements }
+     */
+    function load() {
+        if (!libraryLoad) {
+            libraryLoad = fetchLibrary();
+        }
+        return libraryLoad;
+    }
+
+    /**
+     * Fetch the statement library
+     * @returns {Promise<Object>} Library; empty if it could not be loaded
+     */
+    async function fetchLibrary() {
+        try {
+            const response = await fetch('js/data/statements.json');
+            library = await response.json();
+        } catch (error) {
+            console.error('Error loading statement library:', error);
+            library = { version: null, label: '', statements: [] };
+        }
+        return library;
+    }
+
+    /**
+     * Check whether the library has loaded
+     * @returns {boolean} True once load() has finished
+     */
+    function isLoaded() {
+        return library !== null;
+    }
+
+    /**
+     * Get the library version
+     * @returns {Object|null} { version, label }
+     */
+    function getVersion() {
+        if (!library || !library.version) return null;
+        return { version: library.version, label: library.label };
+    }
+
+    /**
+     * Get every statement in the library
+     * @returns {Array} Statements as { id, title, text, required, revised }
+     */
+    function getStatements() {
+        return library ? library.statements : [];
+    }
+
+    /**
+     * Find a library statement
+     * @param {string} id - Statement id
+     * @returns {Object|null} Statement
+     */
+    function getStatement(id) {
+        return getStatements().find(statement => statement.id === id) || null;
+    }
+
+    /**
+     * Create a syllabus entry with a statement's official text
+     * @param {Object} statement - Library statement
+     * @returns {Object} Entry as { id, title, text, edited, revised }
+     */
+    function createEntry(statement) {
+        return {
+            id: statement.id,
+            title: statement.title,
+            text: statement.text,
+            edited: false,
+            revised: statement.revised
+        };
+    }
+
+    /**
+     * Get the entries a new syllabus starts with: every required statement
+     * @returns {Array} Entries
+     */
+    function getDefaultEntries() {
+        return getStatements().filter(statement => statement.required).map(createEntry);
+    }
+
+    /**
+     * Bring saved entries up to date with the library. Unedited entries take
+     * the current official text; edited ones and ones no longer in the
+     * library are kept as saved. Entries follow the library's order.
+     * @param {Array} entries - Saved entries
+     * @returns {Array} Updated entries
+     */
+    function refreshEntries(entries) {
+        const order = new Map(getStatements().map((statement, index) => [statement.id, index]));
+
+        return entries
+            .map(entry => {
+                const statement = getStatement(entry.id);
+                return statement && !entry.edited ? createEntry(statement) : { ...entry };
+            })
+            .sort((a, b) => (order.has(a.id) ? order.get(a.id) : order.size) -
+                (order.has(b.id) ? order.get(b.id) : order.size));
+    }
+
+    /**
+     * Check whether the official text changed after an entry was edited
+     * @param {Object} entry - Syllabus entry
+     * @returns {boolean} True if the edit is based on an older revision
+     */
+    function isOutdated(entry) {
+        const statement = getStatement(entry.id);
+        return !!(entry.edited && statement && statement.revised !== entry.revised);
+    }
+
+    return {
+        load,
+        isLoaded,
+        getVersion,
+        getStatements,
+        getStatement,
+        createEntry,
+        getDefaultEntries,
+        refreshEntries,
+        isOutdated
+    };
+})();
@@ -11,38 +11,39 @@ const SyllabusBuilder = (function() {
         genedOutcomes: [],
         confirmedGeneds: [],
         gradeScale: 'standard',
-        customScaleText: '',
-        assignments: [],
+        customScale: [],
+        gradingMode: 'percent',
+        gradeCategories: [],
+        pointsTotal: null,
         attendancePolicy: '',
         materials: [],
+        citationStyle: 'apa',
         additionalMaterials: '',
         diversityStatement: 'The course engages diverse scholarly perspectives to develop critical thinking, analysis, and debate, and inclusion of a reading does not imply endorsement.',
         includeCompliance: false,
-        customStatements: ''
+        includeObjectiveAnalysis: false,
+        policyStatements: null,
+        customStatements: '',
+        catalogEdition: null,
+        preset: null,
+        logistics: {
+            term: '',
+            section: '',
+            meetingTimes: '',
+            classroom: '',
+            people: []
+        },
+        schedule: {
+            startDate: '',
+            endDate: '',
+            meetingDays: [],
+            skipHolidays: true,
+            skipDates: [],
+            rows: []
+        }
     };
 
-    // Standard UNC grade scale
-    const standardGradeScale = [
-        { grade: 'A', min: 93 },
-        { grade: 'A-', min: 90 },
-        { grade: 'B+', min: 87 },
-        { grade: 'B', min: 83 },
-        { grade: 'B-', min: 80 },
-        { grade: 'C+', min: 77 },
-        { grade: 'C', min: 73 },
-        { grade: 'C-', min: 70 },
-        { grade: 'D+', min: 67 },
-        { grade: 'D', min: 60 },
-        { grade: 'F', min: 0 }
-    ];
-
-    const letterGradeScale = [
-        { grade: 'A', min: 90 },
-        { grade: 'B', min: 80 },
-        { grade: 'C', min: 70 },
-        { grade: 'D', min: 60 },
-        { grade: 'F', min: 0 }
-    ];
+    const COMPLIANCE_STATEMENT = 'This syllabus has been prepared in compliance with UNC System Policy. The university respects the professor\'s expertise and discretion in course design, including the selection of course materials based on their academic merit. The readings and materials in this course have been chosen for their scholarly value in achieving the educational objectives described above.';
 
     /**
      * Set course information
@@ -73,265 +74,553 @@ const SyllabusBuilder = (function() {
     }
 
     /**
-     * Get grade scale text based on selected type
-     * @returns {string} Grade scale text
+     * Get the grade scale to print, the single source for every output format
+     * @returns {Array} Rows as { grade, min, max, range }, highest grade first
      */
-    function getGradeScaleText() {
+    function getGradeScale() {
+        let scale;
         switch (syllabusData.gradeScale) {
-            case 'standard':
-                return standardGradeScale
-                    .map(g => `${g.grade}: ${g.min}${g.min > 0 ? '+' : ''}`)
-                    .join(', ');
             case 'letter':
-                return letterGradeScale
-                    .map(g => `${g.grade}: ${g.min}${g.min > 0 ? '+' : ''}`)
-                    .join(', ');
+                scale = GradeScale.LETTER;
+                break;
             case 'plusminus':
-                return syllabusData.customScaleText || 'Custom scale not specified';
+                // Leave out rows still being filled in
+                scale = syllabusData.customScale.filter(row =>
+                    row.grade && typeof row.min === 'number' && isFinite(row.min));
+                break;
             default:
-                return '';
+                scale = GradeScale.STANDARD;
         }
+
+        return GradeScale.withRanges(scale).map((row, index) => ({
+            ...row,
+            range: GradeScale.formatRange(row, index === 0)
+        }));
     }
 
     /**
-     * Generate Markdown output
-     * @returns {string} Markdown content
+     * Get the note naming the catalog edition the course information came from
+     * @returns {string} Note text, or empty for manually entered courses
      */
-    function generateMarkdown() {
+    function getCatalogNote() {
         const course = syllabusData.course;
-        if (!course) return 'No course selected';
+        if (!course || course.manual || !syllabusData.catalogEdition) return '';
+        return `Course information from the ${syllabusData.catalogEdition.label}.`;
+    }
 
-        let md = '';
+    /**
+     * Get the grade breakdown as table rows, the single source for every output format
+     * @returns {Object|null} { header, rows, total } where each row is { level, cells }
+     *   and level 1 marks an item under a category; null if there are no categories
+     */
+    function getGradeBreakdown() {
+        const categories = syllabusData.gradeCategories.filter(category => category.name);
+        if (categories.length === 0) return null;
+
+        const points = syllabusData.gradingMode === 'points';
+        const summary = Grading.summarize(categories, syllabusData.gradingMode, syllabusData.pointsTotal);
+        const rows = [];
+
+        for (const row of summary.rows) {
+            const category = row.category;
+            const details = [Grading.describeDrop(category), row.extraCredit ? 'extra credit' : '']
+                .filter(Boolean)
+                .join('; ');
+            const label = details ? `${category.name} (${details})` : category.name;
+            const sign = row.extraCredit ? '+' : '';
+            const percent = `${sign}${Grading.formatNumber(row.percent, points ? 1 : 2)}%`;
+
+            rows.push({
+                level: 0,
+                cells: points ? [label, `${sign}${Grading.formatNumber(row.value)}`, percent] : [label, percent]
+            });
+
+            for (const item of category.items) {
+                const count = Grading.itemCount(item);
+                let text = item.name || 'Item';
+                if (count > 1) text += ` ×${count}`;
+                if (typeof item.points === 'number') {
+                    text += `, ${Grading.formatNumber(item.points)} pts${count > 1 ? ' each' : ''}`;
+                }
+                rows.push({ level: 1, cells: points ? [text, '', ''] : [text, ''] });
+            }
+        }
 
-        // Title
-        md += `# ${course.prefix} ${course.number}: ${course.title}\n\n`;
+        return {
+            header: points ? ['Category', 'Points', '% of Grade'] : ['Category', 'Weight'],
+            rows,
+            total: points
+                ? ['Total', Grading.formatNumber(summary.total), '100%']
+                : ['Total', `${Grading.formatNumber(summary.total)}%`]
+        };
+    }
 
-        // Course Description
-        md += `## Course Description\n\n`;
-        md += `${course.description}\n\n`;
-        md += `**Credits:** ${course.credits}\n\n`;
+    /**
+     * Get the id used to tag a gen ed outcome on a grade category
+     * @param {string} code - Gen ed code
+     * @param {number} index - Outcome index within the gen ed
+     * @returns {string} e.g. "FC-QUANT:0"
+     */
+    function getGenedOutcomeId(code, index) {
+        return `${code}:${index}`;
+    }
 
-        // Student Learning Outcomes
-        md += `## Student Learning Outcomes\n\n`;
+    /**
+     * Get which grade categories assess each course objective and confirmed gen ed outcome
+     * @returns {Object} { categories, rows } where each row is
+     *   { id, type, label, text, assessedBy } and assessedBy lists categories
+     */
+    function getAlignment() {
+        const categories = syllabusData.gradeCategories.filter(category => category.name);
+
+        const objectiveRows = syllabusData.courseObjectives.map((objective, index) => ({
+            id: objective.id,
+            type: 'objective',
+            label: `Objective ${index + 1}`,
+            text: objective.text
+        }));
+
+        const genedRows = syllabusData.confirmedGeneds.flatMap(gened =>
+            gened.outcomes.map((outcome, index) => ({
+                id: getGenedOutcomeId(gened.code, index),
+                type: 'gened',
+                label: `${gened.code} Outcome ${index + 1}`,
+                text: outcome
+            }))
+        );
+
+        const rows = [...objectiveRows, ...genedRows].map(row => ({
+            ...row,
+            assessedBy: categories.filter(category =>
+                (row.type === 'objective' ? category.objectives : category.geneds || []).includes(row.id))
+        }));
+
+        return { categories, rows };
+    }
 
-        // Course Objectives
-        if (syllabusData.courseObjectives.length > 0) {
-            md += `### Course Learning Objectives\n\n`;
-            md += `By the end of this course, students will be able to:\n\n`;
-            for (const objective of syllabusData.courseObjectives) {
-                md += `- ${objective}\n`;
-            }
-            md += '\n';
-        }
+    /**
+     * Get objectives and confirmed gen ed outcomes no grade category assesses
+     * @returns {Array} Alignment rows with an empty assessedBy
+     */
+    function getUnassessedOutcomes() {
+        const alignment = getAlignment();
+        if (alignment.categories.length === 0) return [];
+        return alignment.rows.filter(row => row.assessedBy.length === 0);
+    }
 
-        // Gen Ed Outcomes (use confirmed gen eds, or fall back to all)
-        const genedsToUse = syllabusData.confirmedGeneds.length > 0
-            ? syllabusData.confirmedGeneds
-            : syllabusData.genedOutcomes;
+    /**
+     * Analyze the course objectives for the export appendix
+     * @returns {Object|null} Summary from ObjectiveAnalyzer, or null if not included
+     */
+    function getObjectiveAnalysis() {
+        if (!syllabusData.includeObjectiveAnalysis) return null;
+
+        const summary = ObjectiveAnalyzer.summarize(syllabusData.courseObjectives.map(o => o.text));
+        if (summary.total === 0) return null;
+
+        return {
+            ...summary,
+            rows: syllabusData.courseObjectives.map((objective, index) => ({
+                label: `Objective ${index + 1}`,
+                text: objective.text,
+                result: ObjectiveAnalyzer.analyze(objective.text)
+            }))
+        };
+    }
 
-        for (const gened of genedsToUse) {
-            md += `### ${gened.name} Learning Outcomes\n\n`;
-            for (const outcome of gened.outcomes) {
-                md += `- ${outcome}\n`;
-            }
-            md += '\n';
-        }
+    /**
+     * Format a 24-hour time for display
+     * @param {string} value - Time as HH:MM
+     * @returns {string} e.g. "2:30 PM"
+     */
+    function formatTime(value) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+        if (!match) return '';
 
-        // Grading
-        md += `## Grading\n\n`;
-        md += `### Grade Scale\n\n`;
-        md += `${getGradeScaleText()}\n\n`;
-
-        if (syllabusData.assignments.length > 0) {
-            md += `### Grade Breakdown\n\n`;
-            md += `| Assignment | Percentage |\n`;
-            md += `|------------|------------|\n`;
-            for (const assignment of syllabusData.assignments) {
-                if (assignment.name && assignment.percentage) {
-                    md += `| ${assignment.name} | ${assignment.percentage}% |\n`;
-                }
-            }
-            md += '\n';
-        }
+        const hours = parseInt(match[1], 10);
+        const suffix = hours < 12 ? 'AM' : 'PM';
+        return `${hours % 12 || 12}:${match[2]} ${suffix}`;
+    }
 
-        if (syllabusData.attendancePolicy.trim()) {
-            md += `### Attendance and Participation\n\n`;
-            md += `${syllabusData.attendancePolicy}\n\n`;
+    /**
+     * Format one office-hours slot
+     * @param {Object} slot - { day, start, end, location }
+     * @returns {string} e.g. "Mon 2:00 PM–3:30 PM (Zoom)"
+     */
+    function formatOfficeHours(slot) {
+        const times = [formatTime(slot.start), formatTime(slot.end)].filter(Boolean).join('–');
+        let text = [slot.day, times].filter(Boolean).join(' ');
+        if (slot.location) text += ` (${slot.location})`;
+        return text;
+    }
+
+    /**
+     * Get the logistics header as blocks of labeled lines: one block for the
+     * section and one per instructor or TA. Every output format renders this.
+     * @returns {Array} Blocks, each an array of { label, value }
+     */
+    function getLogisticsBlocks() {
+        const logistics = syllabusData.logistics;
+        const blocks = [];
+
+        const sectionLines = [
+            { label: 'Term', value: logistics.term },
+            { label: 'Section', value: logistics.section },
+            { label: 'Meeting Times', value: logistics.meetingTimes },
+            { label: 'Classroom', value: logistics.classroom }
+        ].filter(line => line.value && line.value.trim());
+        if (sectionLines.length > 0) {
+            blocks.push(sectionLines);
         }
 
-        // Required Materials
-        md += `## Required Materials\n\n`;
-        const hasRequiredMaterials = syllabusData.materials.some(m => m.title);
-
-        if (hasRequiredMaterials || syllabusData.additionalMaterials.trim()) {
-            for (const material of syllabusData.materials) {
-                if (material.title) {
-                    let entry = `- **${material.title}**`;
-                    if (material.author) entry += ` by ${material.author}`;
-                    if (material.publisher || material.edition) {
-                        const pubInfo = [material.publisher, material.edition].filter(Boolean).join(', ');
-                        entry += ` (${pubInfo})`;
-                    }
-                    if (material.isbn) entry += ` ISBN: ${material.isbn}`;
-                    md += entry + '\n';
-                }
-            }
+        for (const person of logistics.people) {
+            if (!person.name || !person.name.trim()) continue;
 
-            if (syllabusData.additionalMaterials.trim()) {
-                md += `\n### Additional Materials\n\n`;
-                md += `${syllabusData.additionalMaterials}\n`;
-            }
-            md += '\n';
-        } else {
-            md += `Students are not required to purchase any course materials.\n\n`;
+            const officeHours = (person.officeHours || []).map(formatOfficeHours).filter(Boolean);
+            blocks.push([
+                { label: person.role === 'ta' ? 'Teaching Assistant' : 'Instructor', value: person.name },
+                { label: 'Email', value: person.email },
+                { label: 'Office', value: person.office },
+                { label: 'Office Hours', value: officeHours.join('; ') }
+            ].filter(line => line.value && line.value.trim()));
         }
 
-        // Custom Statements
-        if (syllabusData.customStatements.trim()) {
-            md += `## Course Policies\n\n`;
-            md += `${syllabusData.customStatements}\n\n`;
-        }
+        return blocks;
+    }
 
-        // Diversity Statement
-        if (syllabusData.diversityStatement && syllabusData.diversityStatement.trim()) {
-            md += `---\n\n`;
-            md += `*${syllabusData.diversityStatement}*\n\n`;
-        }
+    /**
+     * Create a run of text
+     * @param {*} text - Text; line breaks inside it are kept
+     * @param {Object} style - { bold, italic }
+     * @returns {Object} Run as { text, bold, italic }
+     */
+    function textRun(text, style = {}) {
+        return { text: text === null || text === undefined ? '' : String(text), ...style };
+    }
 
-        // Compliance Statement
-        if (syllabusData.includeCompliance) {
-            md += `*This syllabus has been prepared in compliance with UNC System Policy. The university respects the professor's expertise and discretion in course design, including the selection of course materials based on their academic merit. The readings and materials in this course have been chosen for their scholarly value in achieving the educational objectives described above.*\n`;
+    /**
+     * Normalize inline content to a list of runs
+     * @param {string|Array} content - Text, or a list of runs and strings
+     * @returns {Array} Runs
+     */
+    function toRuns(content) {
+        if (!Array.isArray(content)) return [textRun(content)];
+        return content.map(part => typeof part === 'object' && part !== null ? part : textRun(part));
+    }
+
+    /**
+     * Create a label-and-value line, e.g. "Credits: 3" with a bold label
+     * @param {string} label - Label
+     * @param {string} value - Value
+     * @returns {Array} Runs
+     */
+    function labeledRuns(label, value) {
+        return [textRun(`${label}:`, { bold: true }), textRun(` ${value}`)];
+    }
+
+    /**
+     * Create a heading node
+     * @param {number} level - 1 for the title, 2 for sections, 3 for subsections, 4 below that
+     * @param {string} text - Heading text
+     * @returns {Object} Node
+     */
+    function heading(level, text) {
+        return { type: 'heading', level, text };
+    }
+
+    /**
+     * Create a paragraph node
+     * @param {string|Array} content - Text or runs
+     * @returns {Object} Node
+     */
+    function paragraph(content) {
+        return { type: 'paragraph', runs: toRuns(content) };
+    }
+
+    /**
+     * Split text the instructor typed into paragraph nodes at blank lines.
+     * Single line breaks stay inside the paragraph.
+     * @param {string} text - Text
+     * @param {Object} style - Run style for the whole text
+     * @returns {Array} Nodes
+     */
+    function textParagraphs(text, style = {}) {
+        return text.trim().split(/\n\s*\n/).map(part => paragraph([textRun(part.trim(), style)]));
+    }
+
+    /**
+     * Create a node for a field where the instructor can use Markdown
+     * formatting (see MarkdownLite). Renderers draw its parsed blocks; the
+     * Markdown renderer keeps the source as typed.
+     * @param {string} text - Text
+     * @param {Object} style - Run style for the whole text
+     * @returns {Object} Node as { type: 'formatted', source, style, blocks }
+     */
+    function formattedText(text, style = {}) {
+        return { type: 'formatted', source: text.trim(), style, blocks: MarkdownLite.parse(text, style) };
+    }
+
+    /**
+     * Create a list node
+     * @param {boolean} ordered - Numbered (true) or bulleted (false)
+     * @param {Array} items - Each item's text or runs
+     * @returns {Object} Node
+     */
+    function list(ordered, items) {
+        return { type: 'list', ordered, items: items.map(toRuns) };
+    }
+
+    /**
+     * Format a material as a citation in the syllabus's citation style
+     * @param {Object} material - Material
+     * @returns {Array} Runs
+     */
+    function materialRuns(material) {
+        const runs = Citation.format(material, syllabusData.citationStyle);
+        if (material.isbn) runs.push(textRun(` ISBN: ${Isbn.normalize(material.isbn)}`));
+        return runs;
+    }
+
+    /**
+     * Create a table cell
+     * @param {string|Array|Object} content - Text, runs, or a cell with { runs, span, align }
+     * @returns {Object} Cell as { runs, span, align }
+     */
+    function tableCell(content) {
+        if (content && !Array.isArray(content) && typeof content === 'object') {
+            return { span: 1, align: 'left', ...content, runs: toRuns(content.runs) };
         }
+        return { runs: toRuns(content), span: 1, align: 'left' };
+    }
 
-        return md;
+    /**
+     * Create a table node
+     * @param {Array} header - Header cells
+     * @param {Array} rows - Rows, each a list of cells or { cells, level }
+     *   where level 1 marks a row nested under the one above
+     * @param {Object} options - { footer, widths (percent per column), width (percent of page) }
+     * @returns {Object} Node
+     */
+    function table(header, rows, options = {}) {
+        return {
+            type: 'table',
+            header: header.map(tableCell),
+            rows: rows.map(row => {
+                const cells = Array.isArray(row) ? row : row.cells;
+                return { cells: cells.map(tableCell), level: row.level || 0 };
+            }),
+            footer: options.footer ? options.footer.map(tableCell) : null,
+            widths: options.widths || null,
+            width: options.width || 100
+        };
     }
 
     /**
-     * Generate HTML preview
-     * @returns {string} HTML content
+     * Build the syllabus as a document tree. Every output format is a
+     * renderer over this tree (see js/renderers/), so sections are only
+     * defined here.
+     *
+     * Nodes are { type: 'heading', level, text }, { type: 'paragraph', runs },
+     * { type: 'list', ordered, items }, { type: 'table', header, rows, footer,
+     * widths, width }, { type: 'rule' } and { type: 'formatted', source,
+     * style, blocks } for text with Markdown formatting. Runs are { text,
+     * bold, italic, link }; a line break in a run's text is a line break in
+     * the output. Headings are level 1 to 4.
+     * @returns {Object|null} { title, blocks }, or null if no course is selected
      */
-    function generateHTML() {
+    function getDocument() {
         const course = syllabusData.course;
-        if (!course) return '<p>No course selected</p>';
+        if (!course) return null;
 
-        let html = '';
+        const title = `${course.prefix} ${course.number}: ${course.title}`;
+        const blocks = [heading(1, title)];
 
-        // Title
-        html += `<h1>${course.prefix} ${course.number}: ${course.title}</h1>`;
+        // Logistics Header
+        for (const block of getLogisticsBlocks()) {
+            blocks.push(paragraph(block.flatMap((line, index) =>
+                index === 0 ? labeledRuns(line.label, line.value) : ['\n', ...labeledRuns(line.label, line.value)])));
+        }
 
         // Course Description
-        html += `<h2>Course Description</h2>`;
-        html += `<p>${course.description}</p>`;
-        html += `<p><strong>Credits:</strong> ${course.credits}</p>`;
+        blocks.push(heading(2, 'Course Description'));
+        blocks.push(paragraph(course.description));
+        const credits = Credits.describe(course);
+        if (credits) {
+            blocks.push(paragraph(labeledRuns('Credits', credits)));
+        }
+        const catalogNote = getCatalogNote();
+        if (catalogNote) {
+            blocks.push(paragraph([textRun(catalogNote, { italic: true })]));
+        }
 
         // Student Learning Outcomes
-        html += `<h2>Student Learning Outcomes</h2>`;
+        blocks.push(heading(2, 'Student Learning Outcomes'));
 
-        // Course Objectives
         if (syllabusData.courseObjectives.length > 0) {
-            html += `<h3>Course Learning Objectives</h3>`;
-            html += `<p>By the end of this course, students will be able to:</p>`;
-            html += `<ul>`;
-            for (const objective of syllabusData.courseObjectives) {
-                html += `<li>${objective}</li>`;
-            }
-            html += `</ul>`;
+            blocks.push(heading(3, 'Course Learning Objectives'));
+            blocks.push(paragraph('By the end of this course, students will be able to:'));
+            blocks.push(list(true, syllabusData.courseObjectives.map(objective => objective.text)));
         }
 
         // Gen Ed Outcomes (use confirmed gen eds, or fall back to all)
-        const genedsForHtml = syllabusData.confirmedGeneds.length > 0
+        const geneds = syllabusData.confirmedGeneds.length > 0
             ? syllabusData.confirmedGeneds
             : syllabusData.genedOutcomes;
 
-        for (const gened of genedsForHtml) {
-            html += `<h3>${gened.name} Learning Outcomes</h3>`;
-            html += `<ul>`;
-            for (const outcome of gened.outcomes) {
-                html += `<li>${outcome}</li>`;
-            }
-            html += `</ul>`;
+        for (const gened of geneds) {
+            blocks.push(heading(3, `${gened.name} Learning Outcomes`));
+            blocks.push(list(false, gened.outcomes));
         }
 
         // Grading
-        html += `<h2>Grading</h2>`;
-        html += `<h3>Grade Scale</h3>`;
-        html += `<p>${getGradeScaleText()}</p>`;
-
-        if (syllabusData.assignments.length > 0) {
-            html += `<h3>Grade Breakdown</h3>`;
-            html += `<table><thead><tr><th>Assignment</th><th>Percentage</th></tr></thead><tbody>`;
-            for (const assignment of syllabusData.assignments) {
-                if (assignment.name && assignment.percentage) {
-                    html += `<tr><td>${assignment.name}</td><td>${assignment.percentage}%</td></tr>`;
-                }
-            }
-            html += `</tbody></table>`;
+        blocks.push(heading(2, 'Grading'));
+        blocks.push(heading(3, 'Grade Scale'));
+        const gradeScale = getGradeScale();
+        if (gradeScale.length > 0) {
+            blocks.push(table(
+                ['Grade', 'Score'],
+                gradeScale.map(row => [row.grade, row.range]),
+                { widths: [30, 70], width: 60 }
+            ));
+        } else {
+            blocks.push(paragraph('Grade scale not specified.'));
+        }
+
+        const breakdown = getGradeBreakdown();
+        if (breakdown) {
+            const firstColumnWidth = breakdown.header.length > 2 ? 60 : 70;
+            const otherColumnWidth = (100 - firstColumnWidth) / (breakdown.header.length - 1);
+
+            blocks.push(heading(3, 'Grade Breakdown'));
+            blocks.push(table(breakdown.header, breakdown.rows, {
+                footer: breakdown.total.map(cell => [textRun(cell, { bold: true })]),
+                widths: breakdown.header.map((cell, index) => index === 0 ? firstColumnWidth : otherColumnWidth)
+            }));
+        }
+
+        const alignment = getAlignment();
+        if (alignment.categories.length > 0 && alignment.rows.length > 0) {
+            blocks.push(heading(3, 'Assessment Alignment'));
+            blocks.push(table(
+                ['Outcome', ...alignment.categories.map(category => category.name)],
+                alignment.rows.map(row => [
+                    labeledRuns(row.label, row.text),
+                    ...alignment.categories.map(category => ({
+                        runs: row.assessedBy.includes(category) ? '✓' : '',
+                        align: 'center'
+                    }))
+                ]),
+                { widths: [40, ...alignment.categories.map(() => 60 / alignment.categories.length)] }
+            ));
         }
 
         if (syllabusData.attendancePolicy.trim()) {
-            html += `<h3>Attendance and Participation</h3>`;
-            html += `<p>${formatTextToHTML(syllabusData.attendancePolicy)}</p>`;
+            blocks.push(heading(3, 'Attendance and Participation'));
+            blocks.push(formattedText(syllabusData.attendancePolicy));
         }
 
         // Required Materials
-        html += `<h2>Required Materials</h2>`;
-        const hasRequiredMaterialsHtml = syllabusData.materials.some(m => m.title);
-
-        if (hasRequiredMaterialsHtml || syllabusData.additionalMaterials.trim()) {
-            if (hasRequiredMaterialsHtml) {
-                html += `<ul>`;
-                for (const material of syllabusData.materials) {
-                    if (material.title) {
-                        let entry = `<strong>${material.title}</strong>`;
-                        if (material.author) entry += ` by ${material.author}`;
-                        if (material.publisher || material.edition) {
-                            const pubInfo = [material.publisher, material.edition].filter(Boolean).join(', ');
-                            entry += ` (${pubInfo})`;
-                        }
-                        if (material.isbn) entry += ` ISBN: ${material.isbn}`;
-                        html += `<li>${entry}</li>`;
-                    }
-                }
-                html += `</ul>`;
-            }
+        blocks.push(heading(2, 'Required Materials'));
+        const materials = syllabusData.materials.filter(material => material.title);
+        const required = materials.filter(material => material.required !== false);
+        const recommended = materials.filter(material => material.required === false);
 
-            if (syllabusData.additionalMaterials.trim()) {
-                html += `<h3>Additional Materials</h3>`;
-                html += `<p>${formatTextToHTML(syllabusData.additionalMaterials)}</p>`;
-            }
+        if (required.length > 0) {
+            blocks.push(list(false, required.map(materialRuns)));
         } else {
-            html += `<p>Students are not required to purchase any course materials.</p>`;
+            blocks.push(paragraph('Students are not required to purchase any course materials.'));
+        }
+
+        if (recommended.length > 0) {
+            blocks.push(heading(3, 'Recommended Materials'));
+            blocks.push(list(false, recommended.map(materialRuns)));
+        }
+
+        if (syllabusData.additionalMaterials.trim()) {
+            blocks.push(heading(3, 'Additional Materials'));
+            blocks.push(formattedText(syllabusData.additionalMaterials));
         }
 
-        // Custom Statements
-        if (syllabusData.customStatements.trim()) {
-            html += `<h2>Course Policies</h2>`;
-            html += `<p>${formatTextToHTML(syllabusData.customStatements)}</p>`;
+        // Course Schedule
+        if (syllabusData.schedule.rows.length > 0) {
+            blocks.push(heading(2, 'Course Schedule'));
+            blocks.push(table(
+                ['Week', 'Date', 'Topic', 'Readings', 'Due'],
+                syllabusData.schedule.rows.map(row => [
+                    String(row.week),
+                    Schedule.formatDate(row.date),
+                    ...(row.noClass
+                        ? [{ runs: [textRun(`No class: ${row.noClass}`, { italic: true })], span: 3 }]
+                        : [row.topic, row.readings, row.due])
+                ]),
+                { widths: [10, 15, 30, 25, 20] }
+            ));
+        }
+
+        // Policy Statements, each under its own heading, then custom statements
+        const policyStatements = (syllabusData.policyStatements || []).filter(entry => entry.text.trim());
+        const customStatements = syllabusData.customStatements.trim();
+        if (policyStatements.length > 0 || customStatements) {
+            blocks.push(heading(2, 'Course Policies'));
+            for (const entry of policyStatements) {
+                blocks.push(heading(3, entry.title));
+                blocks.push(...textParagraphs(entry.text));
+            }
+            if (customStatements) {
+                if (policyStatements.length > 0) {
+                    blocks.push(heading(3, 'Additional Policies'));
+                }
+                blocks.push(formattedText(customStatements));
+            }
         }
 
         // Diversity Statement
         if (syllabusData.diversityStatement && syllabusData.diversityStatement.trim()) {
-            html += `<hr>`;
-            html += `<p><em>${formatTextToHTML(syllabusData.diversityStatement)}</em></p>`;
+            blocks.push({ type: 'rule' });
+            blocks.push(formattedText(syllabusData.diversityStatement, { italic: true }));
         }
 
         // Compliance Statement
         if (syllabusData.includeCompliance) {
-            html += `<p><em>This syllabus has been prepared in compliance with UNC System Policy. The university respects the professor's expertise and discretion in course design, including the selection of course materials based on their academic merit. The readings and materials in this course have been chosen for their scholarly value in achieving the educational objectives described above.</em></p>`;
+            blocks.push(paragraph([textRun(COMPLIANCE_STATEMENT, { italic: true })]));
         }
 
-        return html;
+        // Objective Analysis Appendix
+        const analysis = getObjectiveAnalysis();
+        if (analysis) {
+            blocks.push(heading(2, 'Appendix: Learning Objective Analysis'));
+            blocks.push(paragraph(labeledRuns('Cognitive levels',
+                analysis.levels.map(entry => `${entry.level.name} ${entry.count}`).join(', '))));
+            blocks.push(table(
+                ['Objective', 'Bloom\'s Level', 'Note'],
+                analysis.rows.map(row => [
+                    labeledRuns(row.label, row.text),
+                    row.result.level ? row.result.level.name : '—',
+                    ObjectiveAnalyzer.describe(row.result)
+                ]),
+                { widths: [45, 15, 40] }
+            ));
+        }
+
+        return { title, blocks };
+    }
+
+    /**
+     * Generate Markdown output
+     * @returns {string} Markdown content
+     */
+    function generateMarkdown() {
+        const documentTree = getDocument();
+        return documentTree ? MarkdownRenderer.render(documentTree) : 'No course selected';
     }
 
     /**
-     * Format plain text to HTML (handle newlines and bullets)
-     * @param {string} text - Plain text
-     * @returns {string} HTML formatted text
+     * Generate HTML preview
+     * @returns {string} HTML content
      */
-    function formatTextToHTML(text) {
-        return text
-            .replace(/\n/g, '<br>')
-            .replace(/•/g, '&bull;');
+    function generateHTML() {
+        const documentTree = getDocument();
+        return documentTree ? HTMLRenderer.render(documentTree) : '<p>No course selected</p>';
     }
 
     /**
@@ -344,14 +633,36 @@ const SyllabusBuilder = (function() {
             genedOutcomes: [],
             confirmedGeneds: [],
             gradeScale: 'standard',
-            customScaleText: '',
-            assignments: [],
+            customScale: [],
+            gradingMode: 'percent',
+            gradeCategories: [],
+            pointsTotal: null,
             attendancePolicy: '',
             materials: [],
+            citationStyle: 'apa',
             additionalMaterials: '',
             diversityStatement: 'The course engages diverse scholarly perspectives to develop critical thinking, analysis, and debate, and inclusion of a reading does not imply endorsement.',
             includeCompliance: false,
-            customStatements: ''
+            includeObjectiveAnalysis: false,
+            policyStatements: null,
+            customStatements: '',
+            catalogEdition: null,
+            preset: null,
+            logistics: {
+                term: '',
+                section: '',
+                meetingTimes: '',
+                classroom: '',
+                people: []
+            },
+            schedule: {
+                startDate: '',
+                endDate: '',
+                meetingDays: [],
+                skipHolidays: true,
+                skipDates: [],
+                rows: []
+            }
         };
     }
 
@@ -359,8 +670,16 @@ const SyllabusBuilder = (function() {
         setCourse,
         updateField,
         getData,
+        getDocument,
         generateMarkdown,
         generateHTML,
+        getGradeScale,
+        getGradeBreakdown,
+        getLogisticsBlocks,
+        getGenedOutcomeId,
+        getAlignment,
+        getUnassessedOutcomes,
+        getObjectiveAnalysis,
         reset
     };
 })();
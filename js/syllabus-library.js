@@ -0,0 +1,227 @@
+/**
+ * Syllabus Library Module
+ * Keeps the instructor's saved syllabi in IndexedDB, in this browser only.
+ *
+ * An entry is { id, name, named, createdAt, updatedAt, schemaVersion, data },
+ * where data is the SyllabusBuilder data model saved with that ProjectFile
+ * schema version (entries without one are version 0) and timestamps are ISO
+ * strings. Until an entry is renamed (named is false), its name follows the
+ * course and term.
+ */
+
+const SyllabusLibrary = (function() {
+    const DB_NAME = 'syllabus-generator';
+    const DB_VERSION = 1;
+    const STORE = 'syllabi';
+
+    // The single draft kept before the library existed, and an older key
+    // that Clear used to remove by mistake
+    const LEGACY_DRAFT_KEY = 'syllabus-draft';
+    const STALE_DRAFT_KEY = 'syllabusDraft';
+
+    let dbOpen = null;
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function open() {
+        if (!dbOpen) {
+            dbOpen = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbOpen;
+    }
+
+    /**
+     * Run a request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result, once the transaction completes
+     */
+    async function withStore(mode, makeRequest) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = makeRequest(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Create an entry id
+     * @returns {string} Unique id
+     */
+    function createId() {
+        return `syl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Name a syllabus after its course and term
+     * @param {Object} data - Syllabus data
+     * @returns {string} e.g. "SOCI 101 (Fall 2026)"
+     */
+    function defaultName(data) {
+        const course = data && data.course;
+        if (!course || !(course.prefix || course.number)) return 'Untitled syllabus';
+
+        const code = [course.prefix, course.number].filter(Boolean).join(' ');
+        const term = data.logistics && data.logistics.term ? data.logistics.term.trim() : '';
+        return term ? `${code} (${term})` : code;
+    }
+
+    /**
+     * List saved syllabi, most recently edited first
+     * @returns {Promise<Array>} Entries
+     */
+    async function list() {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get a saved syllabus
+     * @param {string} id - Entry id
+     * @returns {Promise<Object|null>} Entry
+     */
+    async function get(id) {
+        const entry = await withStore('readonly', store => store.get(id));
+        return entry || null;
+    }
+
+    /**
+     * Write an entry
+     * @param {Object} entry - Entry
+     * @returns {Promise<Object>} The entry
+     */
+    async function put(entry) {
+        await withStore('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    /**
+     * Save a new syllabus
+     * @param {Object} data - Syllabus data
+     * @param {string} name - Name; follows the course and term if omitted
+     * @param {number} schemaVersion - Version of the data's shape; current if omitted
+     * @returns {Promise<Object>} New entry
+     */
+    function create(data, name, schemaVersion = ProjectFile.SCHEMA_VERSION) {
+        const now = new Date().toISOString();
+        return put({
+            id: createId(),
+            name: name || defaultName(data),
+            named: !!name,
+            createdAt: now,
+            updatedAt: now,
+            schemaVersion,
+            data
+        });
+    }
+
+    /**
+     * Save a syllabus's data (autosave)
+     * @param {string} id - Entry id
+     * @param {Object} data - Syllabus data
+     * @returns {Promise<Object>} Updated entry
+     */
+    async function save(id, data) {
+        const entry = await get(id);
+        if (!entry) throw new Error(`No saved syllabus with id ${id}`);
+
+        return put({
+            ...entry,
+            name: entry.named ? entry.name : defaultName(data),
+            updatedAt: new Date().toISOString(),
+            schemaVersion: ProjectFile.SCHEMA_VERSION,
+            data
+        });
+    }
+
+    /**
+     * Rename a saved syllabus
+     * @param {string} id - Entry id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated entry
+     */
+    async function rename(id, name) {
+        const entry = await get(id);
+        if (!entry) throw new Error(`No saved syllabus with id ${id}`);
+
+        const trimmed = name.trim();
+        return put({
+            ...entry,
+            name: trimmed || defaultName(entry.data),
+            named: !!trimmed
+        });
+    }
+
+    /**
+     * Copy a saved syllabus
+     * @param {string} id - Entry id
+     * @returns {Promise<Object>} The copy
+     */
+    async function duplicate(id) {
+        const entry = await get(id);
+        if (!entry) throw new Error(`No saved syllabus with id ${id}`);
+        return create(entry.data, `${entry.name} (copy)`, entry.schemaVersion || 0);
+    }
+
+    /**
+     * Delete a saved syllabus
+     * @param {string} id - Entry id
+     * @returns {Promise}
+     */
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Move the single draft kept in localStorage before the library existed
+     * into the library
+     * @returns {Promise<Object|null>} The new entry, or null if there was no draft
+     */
+    async function migrateLegacyDraft() {
+        localStorage.removeItem(STALE_DRAFT_KEY);
+
+        const saved = localStorage.getItem(LEGACY_DRAFT_KEY);
+        if (!saved) return null;
+
+        let data;
+        try {
+            data = JSON.parse(saved);
+        } catch (error) {
+            console.error('Discarding unreadable draft:', error);
+            localStorage.removeItem(LEGACY_DRAFT_KEY);
+            return null;
+        }
+
+        const entry = await create(data, '', 0);
+        localStorage.removeItem(LEGACY_DRAFT_KEY);
+        return entry;
+    }
+
+    return {
+        defaultName,
+        list,
+        get,
+        create,
+        save,
+        rename,
+        duplicate,
+        remove,
+        migrateLegacyDraft
+    };
+})();
@@ -0,0 +1,199 @@
+/**
+ * Term Rollover Module
+ * Copies a syllabus forward to a new term: sets the term, clears the
+ * section details that change every term, refreshes the course from the
+ * current catalog and moves the schedule to the new dates.
+ *
+ * Every step adds a note for the instructor describing what changed.
+ */
+
+const TermRollover = (function() {
+    /**
+     * Set the new term and clear the fields that belong to the old one
+     * @param {Object} logistics - Section & instructors data
+     * @param {string} term - New term, e.g. "Spring 2027"
+     * @param {Array} notes - Notes, added to
+     * @returns {Object} New logistics
+     */
+    function rollLogistics(logistics, term, notes) {
+        const cleared = [
+            ['section', 'section number'],
+            ['meetingTimes', 'meeting times'],
+            ['classroom', 'classroom']
+        ].filter(([field]) => logistics[field]).map(([, label]) => label);
+
+        const people = logistics.people || [];
+        const tas = people.filter(person => person.role === 'ta');
+
+        notes.push(`Term set to ${term}.`);
+        if (cleared.length > 0) {
+            notes.push(`Cleared the ${formatList(cleared)}.`);
+        }
+        if (tas.length > 0) {
+            const names = tas.map(person => person.name).filter(Boolean);
+            notes.push(`Removed the ${tas.length === 1 ? 'TA' : 'TAs'}${names.length > 0 ? ` (${names.join(', ')})` : ''}.`);
+        }
+
+        return {
+            ...logistics,
+            term,
+            section: '',
+            meetingTimes: '',
+            classroom: '',
+            people: people.filter(person => person.role !== 'ta')
+        };
+    }
+
+    /**
+     * Refresh the course description and gen eds from the current catalog
+     * @param {Object} data - Syllabus data
+     * @param {Object|null} current - { edition, course } where course is the
+     *   current catalog record (with genedDetails), or null if it is not listed
+     * @param {Array} notes - Notes, added to
+     * @returns {Object} Updated fields: course, genedOutcomes, confirmedGeneds, catalogEdition
+     */
+    function refreshCourse(data, current, notes) {
+        const course = data.course;
+        const code = `${course.prefix} ${course.number}`;
+
+        if (!current.course) {
+            notes.push(`${code} is not listed in the ${current.edition.label}, so its description and gen eds were kept.`);
+            return {};
+        }
+
+        const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+        const oldGeneds = course.geneds || [];
+        const newGeneds = current.course.geneds || [];
+        const added = newGeneds.filter(code => !oldGeneds.includes(code));
+        const removed = oldGeneds.filter(code => !newGeneds.includes(code));
+        const descriptionChanged = normalize(course.description) !== normalize(current.course.description);
+
+        if (!descriptionChanged && added.length === 0 && removed.length === 0) {
+            notes.push(`${code} is unchanged in the ${current.edition.label}.`);
+        } else {
+            if (descriptionChanged) {
+                notes.push(`The course description was updated from the ${current.edition.label}.`);
+            }
+            if (added.length > 0) notes.push(`Gen eds added: ${added.join(', ')}.`);
+            if (removed.length > 0) notes.push(`Gen eds removed: ${removed.join(', ')}. Check the alignment matrix.`);
+        }
+
+        // Gen eds the instructor had not confirmed stay unconfirmed; new ones start confirmed
+        const unconfirmed = (data.genedOutcomes || [])
+            .map(gened => gened.code)
+            .filter(code => !(data.confirmedGeneds || []).some(gened => gened.code === code));
+        const genedDetails = current.course.genedDetails || [];
+
+        return {
+            course: {
+                ...course,
+                description: current.course.description || '',
+                geneds: newGeneds,
+                genedDetails
+            },
+            genedOutcomes: genedDetails,
+            confirmedGeneds: genedDetails.filter(gened => !unconfirmed.includes(gened.code)),
+            catalogEdition: current.edition
+        };
+    }
+
+    /**
+     * Move the schedule to the new term's dates
+     * @param {Object} schedule - Schedule data
+     * @param {string} startDate - First day of classes in the new term
+     * @param {string} endDate - Last day of classes, if given
+     * @param {Array} notes - Notes, added to
+     * @returns {Object} New schedule
+     */
+    function rollSchedule(schedule, startDate, endDate, notes) {
+        if (!schedule.startDate) {
+            if (startDate || endDate) notes.push('Set the first and last day of classes for the schedule.');
+            return { ...schedule, startDate: startDate || '', endDate: endDate || '' };
+        }
+
+        const moved = Schedule.shiftTerm(schedule, startDate, endDate);
+
+        const weeks = Math.abs(moved.weeks);
+        const direction = moved.weeks < 0 ? 'earlier' : 'later';
+        notes.push(`Schedule moved ${weeks} ${weeks === 1 ? 'week' : 'weeks'} ${direction}; classes run ${Schedule.formatDate(moved.schedule.startDate)} to ${Schedule.formatDate(moved.schedule.endDate)}.`);
+        if (moved.schedule.skipDates.length > 0) {
+            notes.push('Your no-class dates moved with the schedule. Check that they still apply.');
+        }
+
+        moved.dropped.forEach(row => {
+            notes.push(`${Schedule.formatDate(row.date)} is not a class meeting in the new term, so "${describeRow(row)}" was dropped.`);
+        });
+        moved.cancelled.forEach(row => {
+            notes.push(`${Schedule.formatDate(row.date)} is now ${row.noClass}; move "${describeRow(row)}" to another day.`);
+        });
+
+        return moved.schedule;
+    }
+
+    /**
+     * Describe a schedule row by its content
+     * @param {Object} row - Schedule row
+     * @returns {string} Topic, readings or due items
+     */
+    function describeRow(row) {
+        return row.topic || row.readings || row.due;
+    }
+
+    /**
+     * Join words into a list, e.g. "section, meeting times and classroom"
+     * @param {Array} items - Words
+     * @returns {string} List
+     */
+    function formatList(items) {
+        if (items.length < 2) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+
+    /**
+     * Check the new term before copying a syllabus forward
+     * @param {Object} data - Syllabus data
+     * @param {Object} options - { term, startDate, endDate } for the new term
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validate(data, options) {
+        if (!(options.term || '').trim()) return 'Enter the new term.';
+
+        const schedule = data.schedule || {};
+        if (!schedule.startDate) return null;
+        if (!options.startDate) return 'Enter the first day of classes in the new term so the schedule can be moved.';
+        return Schedule.shiftTerm(schedule, options.startDate, options.endDate).error;
+    }
+
+    /**
+     * Copy a syllabus forward to a new term
+     * @param {Object} data - Syllabus data
+     * @param {Object} options - { term, startDate, endDate } for the new term
+     * @param {Object|null} current - { edition, course } from the current
+     *   catalog (see refreshCourse), or null if the course was not looked up
+     * @returns {Object} { data, notes, error } where data is null if there is an error
+     */
+    function rollForward(data, options, current) {
+        const notes = [];
+        const error = validate(data, options);
+        if (error) return { data: null, notes, error };
+
+        const rolled = { ...data, logistics: rollLogistics(data.logistics || {}, options.term.trim(), notes) };
+
+        if (data.course && current) {
+            Object.assign(rolled, refreshCourse(data, current, notes));
+        } else if (data.course && data.course.manual) {
+            notes.push('The course was entered by hand, so it was not checked against the catalog.');
+        } else if (data.course) {
+            notes.push('The current catalog could not be loaded, so the course description and gen eds were kept.');
+        }
+
+        rolled.schedule = rollSchedule(data.schedule || {}, options.startDate, options.endDate, notes);
+
+        return { data: rolled, notes, error: null };
+    }
+
+    return {
+        validate,
+        rollForward
+    };
+})();
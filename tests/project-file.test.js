@@ -0,0 +1,90 @@
+/**
+ * Project File Tests
+ * Loads the browser scripts into one context, in index.html order, and
+ * checks that syllabi the app saves read back unchanged.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = [
+    'html-safe', 'credits', 'grade-scale', 'grading', 'schedule', 'isbn',
+    'citation', 'markdown-lite', 'syllabus-builder', 'project-file'
+];
+
+/**
+ * Load the scripts the project file module needs
+ * @returns {Object} { SyllabusBuilder, ProjectFile }
+ */
+function loadModules() {
+    const context = vm.createContext({ console });
+    SCRIPTS.forEach(name => {
+        const file = path.join(__dirname, '..', 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext('({ SyllabusBuilder, ProjectFile })', context);
+}
+
+/**
+ * Copy data the way saving does (IndexedDB and files both store plain JSON),
+ * which also moves it out of the scripts' context so it compares by value
+ * @param {Object} data - Syllabus data
+ * @returns {Object} Copy
+ */
+function snapshot(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+test('a blank syllabus reads back unchanged', () => {
+    const { SyllabusBuilder, ProjectFile } = loadModules();
+    const data = snapshot(SyllabusBuilder.getData());
+
+    const result = snapshot(ProjectFile.upgrade(data, ProjectFile.SCHEMA_VERSION));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(result.data, data);
+});
+
+test('a syllabus with unfinished rows reads back unchanged', () => {
+    const { SyllabusBuilder, ProjectFile } = loadModules();
+    SyllabusBuilder.updateField('course', {
+        prefix: 'SOCI', number: '101', title: 'Sociological Perspectives', description: 'Introduction to sociology.',
+        credits: { min: 1, max: 3 }, sectionCredits: null, geneds: ['FC-POWER'],
+        genedDetails: [{ code: 'FC-POWER', name: 'Power, Society, and Social Change', category: 'Focus Capacities', outcomes: [] }],
+        key: 'SOCI101'
+    });
+    SyllabusBuilder.updateField('courseObjectives', [{ id: 'obj-1', text: 'Explain social structure.', required: true }]);
+    SyllabusBuilder.updateField('gradeScale', 'standard');
+    // "Add grade row" saves the new row before anything is typed into it
+    SyllabusBuilder.updateField('customScale', [{ grade: 'A', min: 90 }, { grade: '', min: null }, { grade: '', min: 80 }]);
+    SyllabusBuilder.updateField('gradeCategories', [{
+        id: 'asg-1', name: '', weight: null, dropLowest: 0, extraCredit: false,
+        items: [{ name: '', count: null, points: null }], objectives: [], geneds: []
+    }]);
+    SyllabusBuilder.updateField('materials', [{
+        type: 'book', title: 'The Sociological Imagination', author: 'Mills, C. Wright', container: '',
+        publisher: '', edition: '', year: '', url: '', isbn: '', required: true
+    }]);
+    SyllabusBuilder.updateField('catalogEdition', { id: '2025-26', label: '2025–2026 Undergraduate Catalog' });
+    SyllabusBuilder.updateField('logistics', {
+        term: 'Fall 2026', section: '', meetingTimes: '', classroom: '',
+        people: [{ role: 'instructor', name: '', email: '', office: '', officeHours: [{ day: '', start: '', end: '', location: '' }] }]
+    });
+    SyllabusBuilder.updateField('schedule', {
+        startDate: '2026-08-18', endDate: '', meetingDays: [1, 3], skipHolidays: true, skipDates: [],
+        rows: [{ date: '2026-08-19', week: 1, noClass: '', topic: '', readings: '', due: '' }]
+    });
+    const data = snapshot(SyllabusBuilder.getData());
+
+    const result = snapshot(ProjectFile.upgrade(data, ProjectFile.SCHEMA_VERSION));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(result.data, data);
+});